@@ -0,0 +1,690 @@
+const { resolveLLM } = require('./llm');
+const { analyzeQuery, validateQuery } = require('./queryAnalyzer');
+
+/**
+ * Clean and sanitize AI-generated query
+ * @param {string} query - Raw query from AI
+ * @param {string} dbType - Database type
+ * @returns {string} - Cleaned query
+ */
+function sanitizeQuery(query, dbType = 'postgres') {
+    if (!query) return '';
+
+    let cleaned = query.trim();
+
+    // Remove markdown code blocks (various formats)
+    cleaned = cleaned.replace(/```sql\n?/gi, '');
+    cleaned = cleaned.replace(/```mysql\n?/gi, '');
+    cleaned = cleaned.replace(/```postgresql\n?/gi, '');
+    cleaned = cleaned.replace(/```sqlite\n?/gi, '');
+    cleaned = cleaned.replace(/```duckdb\n?/gi, '');
+    cleaned = cleaned.replace(/```(tsql|mssql)\n?/gi, '');
+    cleaned = cleaned.replace(/```json\n?/gi, '');
+    cleaned = cleaned.replace(/```\n?/g, '');
+
+    // Remove common AI prefixes/explanations
+    const prefixPatterns = [
+        /^Here(?:'s| is) (?:the |a )?(?:SQL |MongoDB )?query[:\s]*/i,
+        /^The (?:SQL |MongoDB )?query (?:is|would be)[:\s]*/i,
+        /^Query[:\s]*/i,
+        /^SQL[:\s]*/i,
+        /^Result[:\s]*/i,
+    ];
+
+    for (const pattern of prefixPatterns) {
+        cleaned = cleaned.replace(pattern, '');
+    }
+
+    // Remove trailing explanations (after the query)
+    const suffixPatterns = [
+        /\n\nThis query.*/is,
+        /\n\nNote:.*/is,
+        /\n\nExplanation:.*/is,
+        /\n\n\*\*.*/is,
+    ];
+
+    for (const pattern of suffixPatterns) {
+        cleaned = cleaned.replace(pattern, '');
+    }
+
+    // Clean up whitespace
+    cleaned = cleaned.trim();
+
+    // Remove trailing semicolons for MongoDB (not needed)
+    if (dbType === 'mongodb') {
+        cleaned = cleaned.replace(/;+$/, '');
+    }
+
+    return cleaned;
+}
+
+// What the prompts tell the model about each SQL database type
+const SQL_DIALECTS = {
+    postgres: {
+        name: 'PostgreSQL',
+        identifiers: 'double quotes for identifiers',
+        showTables: "SELECT table_schema, table_name FROM information_schema.tables WHERE table_schema NOT IN ('pg_catalog', 'information_schema')",
+        describeTable: "SELECT column_name, data_type FROM information_schema.columns WHERE table_name = 'table_name'",
+    },
+    mysql: {
+        name: 'MySQL',
+        identifiers: 'backticks for identifiers',
+        showTables: 'SHOW TABLES',
+        describeTable: 'DESCRIBE table_name',
+    },
+    sqlite: {
+        name: 'SQLite',
+        identifiers: 'double quotes for identifiers',
+        showTables: "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'",
+        describeTable: "SELECT * FROM pragma_table_info('table_name')",
+        notes: 'SQLite has no BOOLEAN or DATE types: booleans are 0/1 and dates are TEXT, so use date(), datetime() and strftime() instead of NOW(), EXTRACT or INTERVAL',
+    },
+    duckdb: {
+        name: 'DuckDB',
+        identifiers: 'double quotes for identifiers',
+        showTables: 'SHOW TABLES',
+        describeTable: 'DESCRIBE table_name',
+        notes: 'DuckDB follows PostgreSQL syntax; use current_date, date_trunc() and INTERVAL for dates',
+    },
+    mssql: {
+        name: 'SQL Server',
+        identifiers: 'square brackets for identifiers, e.g. [order]',
+        limitKeyword: 'TOP',
+        showTables: "SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_TYPE = 'BASE TABLE'",
+        describeTable: "SELECT COLUMN_NAME, DATA_TYPE FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME = 'table_name'",
+        notes: 'Write T-SQL: SELECT TOP n instead of LIMIT (or OFFSET ... ROWS FETCH NEXT ... ROWS ONLY after ORDER BY), GETDATE() and DATEADD() for dates, and N\'...\' for Unicode strings; never use LIMIT',
+    },
+};
+
+const sqlDialectOf = (dbType) => SQL_DIALECTS[dbType] || SQL_DIALECTS.postgres;
+
+const CHART_TYPES = ['bar', 'line', 'pie', 'scatter', 'timeseries'];
+
+const CHART_INSTRUCTIONS = `
+CHART SUGGESTION:
+After the query, on its own last line, suggest how to chart the result:
+CHART: <bar|line|pie|scatter|timeseries|none> x=<result column> y=<result column>
+- timeseries for values over dates, bar to compare categories, pie for shares of a small whole, scatter for two numeric measures
+- Use "CHART: none" when a chart would not help (e.g., listing records, writes, schema questions)`;
+
+/**
+ * Take the chart suggestion line off the model's answer
+ * @param {string} text - Raw model output
+ * @returns {object} - { text, chart } where chart is { type, x, y } or null
+ */
+function extractChartSuggestion(text) {
+    if (!text) return { text, chart: null };
+
+    const match = text.match(/^[ \t]*(?:--|\/\/)?[ \t]*CHART:[ \t]*(\w+)(.*)$/im);
+    if (!match) return { text, chart: null };
+
+    const rest = text.slice(0, match.index) + text.slice(match.index + match[0].length);
+    const type = match[1].toLowerCase();
+    if (!CHART_TYPES.includes(type)) return { text: rest, chart: null };
+
+    const axis = (name) => match[2].match(new RegExp(`\\b${name}=([^\\s]+)`))?.[1].replace(/^["'`]|["'`]$/g, '');
+    return { text: rest, chart: { type, x: axis('x') || null, y: axis('y') || null } };
+}
+
+// (a, b) for several columns, a for one
+const columnList = (columns) => columns.length === 1 ? columns[0] : `(${columns.join(', ')})`;
+
+// Comments may span lines; in the prompt each stays on its line
+const commentTag = (comment) => comment ? ` -- ${String(comment).replace(/\s+/g, ' ').trim()}` : '';
+
+// Index list for a prompt line; kind names special MongoDB indexes (text, 2dsphere, hashed)
+const indexList = (indexes) => indexes
+    .map(i => `${columnList(i.columns)}${i.unique ? ' [UNIQUE]' : ''}${i.kind ? ` [${i.kind.toUpperCase()}]` : ''}`)
+    .join(', ');
+
+// "number" for one type, "number 90%, string 10%" for several
+const typeList = (types) => {
+    const entries = Object.entries(types);
+    return entries.length === 1 ? entries[0][0] : entries.map(([type, pct]) => `${type} ${pct}%`).join(', ');
+};
+
+// A field inferred from sampled documents, with its type mix and how often it is present
+const mongoFieldLine = (field) => {
+    const types = field.types || { [field.type]: 100 };
+    let type = typeList(types);
+    if (field.elementTypes) {
+        type = type.replace(/\barray\b/, `array<${typeList(field.elementTypes).replace(/, /g, ' | ')}>`);
+    }
+    const presence = field.presence !== undefined && field.presence < 100 ? ` [present in ${field.presence}% of documents]` : '';
+    return `  - ${field.name} (${type})${field.isPrimaryKey ? ' [PK]' : ''}${presence}\n`;
+};
+
+// Names of the tables left out of a prompt that are still listed
+const MAX_OTHER_TABLES = 200;
+
+// Tables the client left out, by name only, so the model still knows they exist
+const listOtherTables = (names, label) => {
+    if (names.length === 0) return '';
+    const more = names.length > MAX_OTHER_TABLES ? ` and ${names.length - MAX_OTHER_TABLES} more` : '';
+    return `${label} (fields not shown, as they look unrelated to the question): ${names.slice(0, MAX_OTHER_TABLES).join(', ')}${more}\n`;
+};
+
+/**
+ * Build enhanced schema context for AI
+ * @param {object} schema - Database schema as /api/schema answers it:
+ *   { tables, relationships, constraints, tableComments, schemas? }, and otherTables
+ *   naming the tables the client left out as unrelated to the question
+ * @param {string} dbType - Database type
+ * @returns {string} - Formatted schema context
+ */
+function buildSchemaContext(schema, dbType = 'postgres') {
+    const tables = schema?.tables;
+    if (!tables || Object.keys(tables).length === 0) {
+        return '';
+    }
+    const relationships = Array.isArray(schema.relationships) ? schema.relationships : [];
+    const constraints = schema.constraints || {};
+    const tableComments = schema.tableComments || {};
+    const otherTables = Array.isArray(schema.otherTables) ? schema.otherTables : [];
+
+    let context = '\n\nDATABASE SCHEMA:\n';
+
+    if (dbType === 'mongodb') {
+        context += 'Collections and fields, inferred from sampled documents:\n';
+        context += '(Nested fields are written as dotted paths like address.city, which is also how queries address them)\n';
+        context += '(Note: _id field is auto-generated by MongoDB, do NOT include in insertions)\n\n';
+        for (const [collection, fields] of Object.entries(tables)) {
+            context += `COLLECTION: ${collection}\n`;
+            for (const field of fields) {
+                context += mongoFieldLine(field);
+            }
+            const { indexes = [] } = constraints[collection] || {};
+            if (indexes.length > 0) {
+                context += `  → Indexed: ${indexList(indexes)}\n`;
+            }
+            context += '\n';
+        }
+        context += listOtherTables(otherTables, 'OTHER COLLECTIONS');
+    } else {
+        context += 'Tables and columns:\n';
+        context += '(Columns marked with [AUTO] are auto-generated - do NOT include them in INSERT statements)\n';
+        // PostgreSQL and MySQL schemas list tables from every included schema (or database)
+        if (Array.isArray(schema.schemas)) {
+            context += '(Table names are schema-qualified - always write them as schema.table)\n';
+        }
+        context += '\n';
+
+        for (const [table, columns] of Object.entries(tables)) {
+            context += `TABLE: ${table}${commentTag(tableComments[table])}\n`;
+
+            const regularColumns = columns.filter(c => !c.excludeFromInsert && !c.isAutoGenerated);
+
+            for (const col of columns) {
+                const autoTag = (col.excludeFromInsert || col.isAutoGenerated) ? ' [AUTO]' : '';
+                const pkTag = col.isPrimaryKey ? ' [PK]' : '';
+                const nullableTag = col.nullable ? '' : ' [NOT NULL]';
+                context += `  - ${col.name} (${col.type})${pkTag}${autoTag}${nullableTag}${commentTag(col.comment)}\n`;
+            }
+
+            // Add a helpful note for INSERT operations
+            if (regularColumns.length > 0) {
+                context += `  → For INSERT, use only: ${regularColumns.map(c => c.name).join(', ')}\n`;
+            }
+
+            const { unique = [], checks = [], indexes = [] } = constraints[table] || {};
+            if (unique.length > 0) {
+                context += `  → Unique: ${unique.map(u => columnList(u.columns)).join(', ')}\n`;
+            }
+            for (const check of checks) {
+                context += `  → Check: ${check.definition}\n`;
+            }
+            if (indexes.length > 0) {
+                context += `  → Indexed: ${indexList(indexes)}\n`;
+            }
+            context += '\n';
+        }
+
+        context += listOtherTables(otherTables, 'OTHER TABLES');
+
+        if (relationships.length > 0) {
+            context += 'RELATIONSHIPS (foreign keys - use these as JOIN conditions):\n';
+            for (const rel of relationships) {
+                const pairs = rel.columns.map((column, i) => `${rel.table}.${column} → ${rel.referencedTable}.${rel.referencedColumns[i]}`);
+                context += `- ${pairs.join(' AND ')}\n`;
+            }
+        }
+    }
+
+    return context;
+}
+
+/**
+ * Build conversation history context for AI
+ * @param {Array} conversationHistory - Array of previous messages
+ * @param {number} maxHistory - Maximum number of previous exchanges to include
+ * @returns {string} - Formatted conversation context
+ */
+function buildConversationContext(conversationHistory, maxHistory = 5) {
+    if (!Array.isArray(conversationHistory) || conversationHistory.length === 0) {
+        return '';
+    }
+
+    // Filter to only include relevant messages (user questions and generated queries)
+    const relevantMessages = conversationHistory
+        .filter(msg => msg.role === 'user' || (msg.role === 'assistant' && msg.sql))
+        .slice(-maxHistory * 2); // Get last N exchanges (question + response pairs)
+
+    if (relevantMessages.length === 0) {
+        return '';
+    }
+
+    let context = '\n\nPREVIOUS CONVERSATION:\n';
+
+    for (const msg of relevantMessages) {
+        if (msg.role === 'user') {
+            context += `User asked: "${msg.content}"\n`;
+        } else if (msg.role === 'assistant' && msg.sql) {
+            context += `Generated query: ${msg.sql}\n`;
+            // Include execution result summary if available
+            if (msg.result && msg.result.rowCount !== undefined) {
+                context += `Result: ${msg.result.rowCount} rows returned\n`;
+            }
+            context += '\n';
+        }
+    }
+
+    return context;
+}
+
+/**
+ * Build the query generation prompt for a database type
+ * @param {string} question - Natural language question
+ * @param {string} dbType - Database type
+ * @param {string} schemaContext - Output of buildSchemaContext
+ * @param {string} historyContext - Output of buildConversationContext
+ * @returns {string} - Prompt text
+ */
+function buildGenerationPrompt(question, dbType, schemaContext, historyContext) {
+    if (dbType === 'mongodb') {
+        return `You are an expert MongoDB query generator. Convert the user's natural language question into a valid MongoDB query.
+
+DATABASE TYPE: MongoDB${schemaContext}${historyContext}
+
+USER QUESTION: "${question}"
+
+CRITICAL INSTRUCTIONS:
+1. Output ONLY valid JSON representing the MongoDB operation
+2. NO explanations, NO markdown formatting, NO code blocks
+3. Use this JSON format: {"collection": "collection_name", "operation": "<operation>", ...the fields of that operation}
+   Each operation takes ONLY the fields listed for it - any other field is an error. "filter" defaults to {} (all documents).
+
+   READ:
+   - find: filter, projection, sort, skip, limit
+   - findOne: filter, projection, sort, skip
+   - countDocuments: filter, skip, limit
+   - estimatedDocumentCount: no fields (fast count of the whole collection)
+   - distinct: field (required, e.g. "address.city"), filter
+   - aggregate: pipeline (required, array of stages)
+   - explain: the fields of a find, or pipeline to explain an aggregate; verbosity "queryPlanner" (default), "executionStats" or "allPlansExecution"
+
+   WRITE:
+   - insertOne: document (required)
+   - insertMany: documents (required), ordered
+   - updateOne / updateMany: filter, update (required, use $set, $inc, etc.), upsert
+   - replaceOne: filter, replacement (required, a whole document without $ operators), upsert
+   - deleteOne / deleteMany: filter
+   - findOneAndUpdate: filter, update (required), projection, sort, upsert, returnDocument ("before" or "after")
+   - findOneAndReplace: filter, replacement (required), projection, sort, upsert, returnDocument
+   - findOneAndDelete: filter, projection, sort
+   - bulkWrite: operations (required), ordered; each operation is {"insertOne": {"document": {...}}}, {"updateOne": {"filter": {...}, "update": {...}}}, {"updateMany": ...}, {"replaceOne": {"filter": {...}, "replacement": {...}}}, {"deleteOne": {"filter": {...}}} or {"deleteMany": ...}
+
+   FIELDS:
+   - projection: {"field": 1} to include, {"field": 0} to exclude
+   - sort: {"field": 1} ascending, {"field": -1} descending; several fields sort in the order given
+   - skip, limit: non-negative integers; for page N of size S use "skip": (N-1)*S, "limit": S with a "sort" so pages are stable
+   - upsert, ordered: true or false
+
+   TYPES - queries are MongoDB Extended JSON, so values keep the types shown in the schema:
+   - objectId: {"$oid": "65f1c0a2e4b0a1b2c3d4e5f6"} - a plain string never matches an objectId field
+   - date: {"$date": "2024-01-31T00:00:00Z"} - compare dates with $gte/$lt on $date values, never on strings
+   - regex: {"$regularExpression": {"pattern": "^ab", "options": "i"}}, or {"$regex": "^ab", "$options": "i"}
+   - decimal: {"$numberDecimal": "9.99"}; long: {"$numberLong": "9007199254740993"}
+
+4. Examples:
+   {"collection": "orders", "operation": "find", "filter": {"status": "shipped"}, "projection": {"total": 1, "customer": 1}, "sort": {"createdAt": -1}, "limit": 10}
+   {"collection": "orders", "operation": "find", "filter": {}, "sort": {"_id": 1}, "skip": 40, "limit": 20}
+   {"collection": "users", "operation": "distinct", "field": "address.country"}
+   {"collection": "orders", "operation": "find", "filter": {"customerId": {"$oid": "65f1c0a2e4b0a1b2c3d4e5f6"}, "createdAt": {"$gte": {"$date": "2024-01-01T00:00:00Z"}}}}
+   {"collection": "users", "operation": "updateMany", "filter": {"active": false}, "update": {"$set": {"archived": true}}}
+
+5. If user asks to see all data from a collection, use: {"collection": "name", "operation": "find", "filter": {}}
+6. For "top N", "latest" or "highest" questions, use "sort" with "limit" rather than an aggregate
+7. Make intelligent assumptions about collection names based on common conventions
+8. Consider the conversation history when interpreting the user's question (e.g., "now filter by status" should use the same collection/table from previous query)
+9. Understand pronouns and references like "those", "them", "the same table", "that column" based on context
+${CHART_INSTRUCTIONS}
+
+IMPORTANT - AUTO-GENERATED FIELDS:
+- The _id field is auto-generated by MongoDB - NEVER include it in insert operations
+- For insertOne/insertMany, only include fields the user explicitly provides values for
+- If user says "add a user named John", only include {"name": "John"}, NOT the _id field
+
+RESPOND WITH ONLY THE JSON, FOLLOWED BY THE CHART LINE:`;
+    }
+
+    const dialect = sqlDialectOf(dbType);
+    const dbName = dialect.name;
+    const limitKeyword = dialect.limitKeyword || 'LIMIT';
+    return `You are an expert ${dbName} SQL query generator. Convert the user's natural language question into a valid SQL query.
+
+DATABASE TYPE: ${dbName}${schemaContext}${historyContext}
+
+USER QUESTION: "${question}"
+
+CRITICAL INSTRUCTIONS:
+1. Output ONLY the SQL query - no explanations, no markdown, no code blocks
+2. Use proper ${dbName} syntax and best practices
+3. Include appropriate WHERE clauses, JOINs, ORDER BY, and ${limitKeyword} when relevant
+4. For ambiguous requests, make reasonable assumptions about table/column names
+5. Always add ${limitKeyword} 100 for SELECT queries unless a specific limit is requested
+6. Use single quotes for string literals and ${dialect.identifiers}
+7. Consider the conversation history when interpreting the user's question
+8. Understand follow-up questions like "now filter by...", "show me more details", "same table but...", etc.
+9. Understand pronouns and references like "those", "them", "the same table", "that column" based on previous queries${dialect.notes ? `
+10. ${dialect.notes}` : ''}
+
+IMPORTANT - AUTO-GENERATED COLUMNS:
+- Columns marked with [AUTO] in the schema are auto-generated by the database (e.g., id, created_at, updated_at)
+- For INSERT statements, NEVER include [AUTO] columns - the database generates these automatically
+- Only include columns that the user explicitly provides values for
+- If user says "add a user named John", only include the name column, NOT the id column
+- Use the "For INSERT, use only:" hint in the schema to know which columns to include
+
+COMMON PATTERNS:
+- "Show all tables": ${dialect.showTables}
+- "Describe table X": ${dialect.describeTable}
+${CHART_INSTRUCTIONS}
+
+RESPOND WITH ONLY THE SQL QUERY, FOLLOWED BY THE CHART LINE:`;
+}
+
+/**
+ * Convert natural language question to database query using the configured LLM
+ * @param {string} question - Natural language question
+ * @param {object} schema - Database schema information (optional)
+ * @param {string} dbType - Database type ('postgres', 'mysql', 'sqlite', 'duckdb', 'mssql', 'mongodb')
+ * @param {object} options - Additional options including conversationHistory and llm ({ provider, model })
+ * @returns {Promise<object>} - Generated query with metadata
+ */
+async function generateSQLQuery(question, schema = null, dbType = 'postgres', options = {}) {
+    const { maxRetries = 2, temperature = 0.4, conversationHistory = [], llm } = options;
+
+    const { provider, model } = resolveLLM('generate', llm);
+
+    const schemaContext = buildSchemaContext(schema, dbType);
+    const historyContext = buildConversationContext(conversationHistory);
+    const prompt = buildGenerationPrompt(question, dbType, schemaContext, historyContext);
+
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        try {
+            const output = await provider.generate({
+                task: 'generate',
+                prompt,
+                model,
+                temperature, // Low temperature for consistent query generation
+                maxOutputTokens: 1024,
+                topP: 0.8,
+                topK: 40,
+            });
+
+            // The chart line comes off before the query is cleaned and validated
+            const { text, chart } = extractChartSuggestion(output);
+            const query = sanitizeQuery(text, dbType);
+
+            // Validate the query
+            const validation = await validateQuery(query, dbType);
+
+            if (!validation.isValid && attempt < maxRetries) {
+                console.warn(`Query validation failed on attempt ${attempt + 1}:`, validation.errors);
+                continue; // Retry
+            }
+
+            // Analyze query type
+            const analysis = await analyzeQuery(query, dbType);
+
+            return {
+                query,
+                validation,
+                analysis,
+                chart,
+                dbType,
+                provider: provider.name,
+                model,
+                generatedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            lastError = error;
+            console.error(`Error generating query (attempt ${attempt + 1}):`, error);
+
+            if (attempt < maxRetries) {
+                // Wait a bit before retrying
+                await new Promise(resolve => setTimeout(resolve, 500 * (attempt + 1)));
+            }
+        }
+    }
+
+    // All retries failed
+    if (lastError?.message?.includes('API key')) {
+        throw new Error(`Invalid API key for ${provider.label}. ${provider.configHint}`);
+    }
+    if (lastError?.message?.includes('fetch')) {
+        throw new Error(`Network error. The server could not reach ${provider.label}`);
+    }
+
+    throw new Error(`Failed to generate ${dbType} query after ${maxRetries + 1} attempts: ${lastError?.message}`);
+}
+
+// Cap on the failed attempts quoted back to the model during auto-repair
+const MAX_FIX_HISTORY = 5;
+
+/**
+ * Take the explanation line off the model's answer to a fix request
+ * @param {string} text - Raw model output
+ * @returns {object} - { text, explanation }
+ */
+function extractFixExplanation(text) {
+    if (!text) return { text, explanation: '' };
+
+    const match = text.match(/^[ \t]*(?:--|\/\/)?[ \t]*FIX:[ \t]*(.*)$/im);
+    if (!match) return { text, explanation: '' };
+
+    return {
+        text: text.slice(0, match.index) + text.slice(match.index + match[0].length),
+        explanation: match[1].trim(),
+    };
+}
+
+/**
+ * Build the prompt asking the model to repair a query the database rejected
+ * @param {string} query - Failed query
+ * @param {string} dbType - Database type
+ * @param {object} failure - { errorCode, error, databaseError, previousAttempts }
+ * @param {string} schemaContext - Output of buildSchemaContext
+ * @returns {string} - Prompt text
+ */
+function buildFixPrompt(query, dbType, failure, schemaContext) {
+    const dbName = dbType === 'mongodb' ? 'MongoDB' : sqlDialectOf(dbType).name;
+    const format = dbType === 'mongodb'
+        ? 'Output ONLY the corrected JSON query, in the same {"collection": ..., "operation": ...} format, with Extended JSON ({"$oid": ...}, {"$date": ...}) for ObjectIds and dates'
+        : `Output ONLY the corrected ${dbName} SQL query`;
+
+    let attemptsContext = '';
+    if (failure.previousAttempts.length > 0) {
+        attemptsContext = '\n\nEARLIER ATTEMPTS THAT ALSO FAILED (do not repeat them):\n';
+        for (const attempt of failure.previousAttempts) {
+            attemptsContext += `Query: ${attempt.query}\nError: ${attempt.error}\n\n`;
+        }
+    }
+
+    return `You are an expert ${dbName} query debugger. The database rejected the query below. Fix it so it runs and still answers the same question.
+
+DATABASE TYPE: ${dbName}${schemaContext}
+
+FAILED QUERY:
+${query}
+
+ERROR CODE: ${failure.errorCode || 'QUERY_ERROR'}
+ERROR: ${failure.error || 'Unknown error'}
+DATABASE ERROR: ${failure.databaseError || failure.error || 'Unknown error'}${attemptsContext}
+
+CRITICAL INSTRUCTIONS:
+1. ${format} - no explanations, no markdown, no code blocks
+2. Use only tables, collections and columns that exist in the schema; fix misspelled or invented names
+3. Change as little as possible: keep the intent, filters, ordering and limits of the original query
+4. Do not turn a read into a write, or a write into a different write
+
+After the query, on its own last line, say what you changed:
+FIX: <one sentence>
+
+RESPOND WITH ONLY THE QUERY, FOLLOWED BY THE FIX LINE:`;
+}
+
+/**
+ * Ask the AI to repair a query that failed on the database
+ * @param {string} query - Failed query
+ * @param {object} failure - { errorCode, error, databaseError, previousAttempts }
+ *   errorCode and error are what /api/query answered; databaseError is the
+ *   driver's own message; previousAttempts is [{ query, error }] from auto-repair
+ * @param {object} schema - Database schema information (optional)
+ * @param {string} dbType - Database type ('postgres', 'mysql', 'sqlite', 'duckdb', 'mssql', 'mongodb')
+ * @param {object} options - { llm: { provider, model } }
+ * @returns {Promise<object>} - { query, explanation, validation, analysis, ... }
+ */
+async function fixSQLQuery(query, failure = {}, schema = null, dbType = 'postgres', options = {}) {
+    const { provider, model } = resolveLLM('fix', options.llm);
+
+    const previousAttempts = (Array.isArray(failure.previousAttempts) ? failure.previousAttempts : [])
+        .filter(attempt => attempt && typeof attempt.query === 'string')
+        .slice(-MAX_FIX_HISTORY);
+    const prompt = buildFixPrompt(query, dbType, { ...failure, previousAttempts }, buildSchemaContext(schema, dbType));
+
+    let output;
+    try {
+        output = await provider.generate({
+            task: 'fix',
+            prompt,
+            model,
+            temperature: 0.2,
+            maxOutputTokens: 1024,
+        });
+    } catch (error) {
+        console.error('Error fixing query:', error);
+        throw new Error(`Failed to fix query: ${error.message}`);
+    }
+
+    const { text, explanation } = extractFixExplanation(output);
+    const fixedQuery = sanitizeQuery(text, dbType);
+    if (!fixedQuery) {
+        throw new Error('Failed to fix query: the AI returned an empty query');
+    }
+
+    return {
+        query: fixedQuery,
+        explanation,
+        validation: await validateQuery(fixedQuery, dbType),
+        analysis: await analyzeQuery(fixedQuery, dbType),
+        dbType,
+        provider: provider.name,
+        model,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Explain a database query in natural language using AI
+ * @param {string} query - Query to explain
+ * @param {string} dbType - Database type ('postgres', 'mysql', 'sqlite', 'duckdb', 'mssql', 'mongodb')
+ * @param {object} options - { llm: { provider, model } }
+ * @returns {Promise<string>} - Natural language explanation
+ */
+async function explainSQLQuery(query, dbType = 'postgres', options = {}) {
+    const { provider, model } = resolveLLM('explain', options.llm);
+
+    const queryType = dbType === 'mongodb' ? 'MongoDB' : 'SQL';
+    const prompt = `Explain the following ${queryType} query in simple, natural language. Be concise and clear. Focus on what the query does, not on syntax details.
+
+${queryType} Query:
+${query}
+
+Provide a clear, beginner-friendly explanation in 2-3 sentences:`;
+
+    try {
+        const text = await provider.generate({
+            task: 'explain',
+            prompt,
+            model,
+            temperature: 0.3,
+            maxOutputTokens: 512,
+        });
+        return text.trim();
+    } catch (error) {
+        console.error('Error explaining query:', error);
+        throw new Error(`Failed to explain query: ${error.message}`);
+    }
+}
+
+/**
+ * Suggest optimizations for a SQL query using AI
+ * @param {string} sqlQuery - SQL query to optimize
+ * @param {object} options - { llm: { provider, model } }
+ * @returns {Promise<object>} - Optimization suggestions
+ */
+async function suggestOptimizations(sqlQuery, options = {}) {
+    const { provider, model } = resolveLLM('optimize', options.llm);
+
+    const prompt = `Analyze the following SQL query and suggest optimizations. Return your response as valid JSON with this exact structure (no markdown):
+{
+  "optimizedQuery": "the optimized SQL query",
+  "improvements": ["list of improvements made"],
+  "explanation": "brief explanation of optimizations"
+}
+
+SQL Query:
+${sqlQuery}
+
+Respond with only the JSON object:`;
+
+    try {
+        let text = await provider.generate({
+            task: 'optimize',
+            prompt,
+            model,
+            temperature: 0.3,
+            maxOutputTokens: 1024,
+        });
+        text = text.trim();
+
+        // Clean up response
+        text = sanitizeQuery(text, 'json');
+
+        // Try to parse JSON response
+        const jsonMatch = text.match(/\{[\s\S]*\}/);
+        if (jsonMatch) {
+            return JSON.parse(jsonMatch[0]);
+        }
+
+        return {
+            optimizedQuery: sqlQuery,
+            improvements: [],
+            explanation: text
+        };
+    } catch (error) {
+        console.error('Error suggesting optimizations:', error);
+        throw new Error(`Failed to suggest optimizations: ${error.message}`);
+    }
+}
+
+module.exports = {
+    generateSQLQuery,
+    explainSQLQuery,
+    suggestOptimizations,
+    fixSQLQuery,
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { createJsonStore } = require('./jsonStore');
+const { HttpError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const PASSWORD_MIN_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+const userStore = createJsonStore('users.json', () => ({ users: [] }));
+const sessionStore = createJsonStore('sessions.json', () => ({ sessions: {} }));
+
+class AuthError extends HttpError {}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} - "salt:hash" in hex
+ */
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+    return `${salt.toString('hex')}:${hash.toString('hex')}`;
+};
+
+/**
+ * Compare a password against a stored "salt:hash"
+ * @param {string} password - Plaintext password
+ * @param {string} stored - Stored hash
+ * @returns {Promise<boolean>}
+ */
+const verifyPassword = async (password, stored) => {
+    const [saltHex, hashHex] = (stored || '').split(':');
+    if (!saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+// Only a hash of the session token is stored, so a leaked sessions.json
+// cannot be replayed as cookies
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const toPublicUser = (user) => ({ id: user.id, email: user.email, name: user.name });
+
+/**
+ * Register a new user
+ * @param {object} params - { email, password, name }
+ * @returns {Promise<object>} - Public user
+ */
+const signUp = async ({ email, password, name }) => {
+    const normalizedEmail = normalizeEmail(email);
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+        throw new AuthError('A valid email address is required');
+    }
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        throw new AuthError(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new AuthError('Name is required');
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    return userStore.update(data => {
+        if (data.users.some(u => u.email === normalizedEmail)) {
+            throw new AuthError('User already exists', 409);
+        }
+
+        const user = {
+            id: crypto.randomUUID(),
+            email: normalizedEmail,
+            name: name.trim(),
+            passwordHash,
+            createdAt: new Date().toISOString()
+        };
+        data.users.push(user);
+
+        return toPublicUser(user);
+    });
+};
+
+/**
+ * Check credentials
+ * @param {object} params - { email, password }
+ * @returns {Promise<object>} - Public user
+ */
+const authenticate = async ({ email, password }) => {
+    const normalizedEmail = normalizeEmail(email);
+    const user = userStore.read().users.find(u => u.email === normalizedEmail);
+
+    if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+        throw new AuthError('Invalid email or password', 401);
+    }
+
+    return toPublicUser(user);
+};
+
+/**
+ * Start a session for a user
+ * @param {string} userId - User ID
+ * @returns {string} - Session token to send as a cookie
+ */
+const createSession = (userId) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+
+    sessionStore.update(data => {
+        // Drop expired sessions while we are writing anyway
+        for (const [key, session] of Object.entries(data.sessions)) {
+            if (session.expiresAt <= now) delete data.sessions[key];
+        }
+        data.sessions[hashToken(token)] = { userId, expiresAt: now + SESSION_TTL };
+    });
+
+    return token;
+};
+
+/**
+ * End a session
+ * @param {string} token - Session token
+ */
+const destroySession = (token) => {
+    if (!token) return;
+    sessionStore.update(data => {
+        delete data.sessions[hashToken(token)];
+    });
+};
+
+/**
+ * Resolve a session token to its user
+ * @param {string} token - Session token
+ * @returns {object|null} - Public user, or null if the session is missing or expired
+ */
+const getSessionUser = (token) => {
+    if (!token) return null;
+
+    const session = sessionStore.read().sessions[hashToken(token)];
+    if (!session || session.expiresAt <= Date.now()) return null;
+
+    const user = userStore.read().users.find(u => u.id === session.userId);
+    return user ? toPublicUser(user) : null;
+};
+
+/**
+ * Read a cookie from the request header
+ * @param {object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null}
+ */
+const readCookie = (req, name) => {
+    const header = req.headers.cookie;
+    if (!header) return null;
+
+    for (const part of header.split(';')) {
+        const [key, ...rest] = part.trim().split('=');
+        if (key === name) {
+            return decodeURIComponent(rest.join('='));
+        }
+    }
+    return null;
+};
+
+const sessionCookieOptions = {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+};
+
+const setSessionCookie = (res, token) => {
+    res.cookie(SESSION_COOKIE, token, { ...sessionCookieOptions, maxAge: SESSION_TTL });
+};
+
+const clearSessionCookie = (res) => {
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions);
+};
+
+const getSessionToken = (req) => readCookie(req, SESSION_COOKIE);
+
+/**
+ * Express middleware: reject requests without a valid session
+ */
+const requireAuth = (req, res, next) => {
+    const user = getSessionUser(getSessionToken(req));
+
+    if (!user) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    req.user = user;
+    next();
+};
+
+module.exports = {
+    AuthError,
+    signUp,
+    authenticate,
+    createSession,
+    destroySession,
+    getSessionUser,
+    getSessionToken,
+    setSessionCookie,
+    clearSessionCookie,
+    requireAuth,
+};
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { HttpError } = require('./errors');
+
+const MAX_MESSAGES = 200;
+const MAX_SNAPSHOT_ROWS = 50;
+const MAX_NAME_LENGTH = 100;
+
+// Chat sessions (conversations), not to be confused with login sessions
+const chatStore = createJsonStore('chats.json', () => ({ chats: [] }));
+
+class ChatSessionError extends HttpError {}
+
+const MESSAGE_FIELDS = [
+    'id', 'role', 'content', 'sql', 'queryAnalysis', 'executionStatus', 'executionError', 'timestamp',
+    // Chart settings and whether the result is shown as a table or a chart
+    'chart', 'chartSuggestion', 'resultView',
+    // Saved query runs, so they can be run again with the same parameter values
+    'savedQueryId', 'savedQueryName', 'params',
+    // Failed queries the AI can fix, and the fixes with what they changed
+    'executionErrorCode', 'executionDatabaseError', 'fixedFrom', 'fixExplanation', 'repairAttempt',
+];
+
+/**
+ * Reduce a query result to a bounded snapshot. The full row set can always be
+ * fetched again by re-running the query.
+ */
+const toResultSnapshot = (result) => {
+    const rows = Array.isArray(result.rows) ? result.rows : [];
+
+    return {
+        rows: rows.slice(0, MAX_SNAPSHOT_ROWS),
+        columns: Array.isArray(result.columns) ? result.columns : [],
+        rowCount: typeof result.rowCount === 'number' ? result.rowCount : rows.length,
+        executionTime: result.executionTime,
+        dbType: result.dbType,
+        hasMore: Boolean(result.hasMore) || rows.length > MAX_SNAPSHOT_ROWS,
+        snapshot: true,
+    };
+};
+
+/**
+ * Keep only what is needed to show a message again
+ */
+const toStoredMessage = (message) => {
+    const stored = {};
+    for (const field of MESSAGE_FIELDS) {
+        if (message[field] !== undefined) stored[field] = message[field];
+    }
+
+    // A query that was still running when the chat was saved did not finish in it
+    if (stored.executionStatus === 'running') {
+        delete stored.executionStatus;
+    }
+    if (message.result && typeof message.result === 'object' && stored.executionStatus === 'success') {
+        stored.result = toResultSnapshot(message.result);
+    }
+
+    return stored;
+};
+
+const normalizeMessages = (messages) => {
+    if (!Array.isArray(messages)) {
+        throw new ChatSessionError('Messages must be an array');
+    }
+    return messages
+        .filter(m => m && typeof m === 'object' && typeof m.role === 'string')
+        .slice(-MAX_MESSAGES)
+        .map(toStoredMessage);
+};
+
+const normalizeName = (name) => {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new ChatSessionError('Chat name is required');
+    }
+    return name.trim().slice(0, MAX_NAME_LENGTH);
+};
+
+const toSummary = (chat) => ({
+    id: chat.id,
+    connectionId: chat.connectionId,
+    name: chat.name,
+    messageCount: chat.messages.length,
+    createdAt: chat.createdAt,
+    updatedAt: chat.updatedAt,
+});
+
+const findChat = (data, userId, id) => {
+    const chat = data.chats.find(c => c.id === id && c.userId === userId);
+    if (!chat) {
+        throw new ChatSessionError('Chat not found', 404);
+    }
+    return chat;
+};
+
+/**
+ * List a user's chats for a connection, most recently used first
+ * @param {string} userId - Owner
+ * @param {string} connectionId - Connection ID
+ * @returns {Array} - Chat summaries without messages
+ */
+const listChatSessions = (userId, connectionId) =>
+    chatStore.read().chats
+        .filter(c => c.userId === userId && c.connectionId === connectionId)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .map(toSummary);
+
+/**
+ * Load a chat with its messages
+ * @param {string} userId - Owner
+ * @param {string} id - Chat ID
+ * @returns {object} - Chat summary plus messages
+ */
+const getChatSession = (userId, id) => {
+    const chat = findChat(chatStore.read(), userId, id);
+    return { ...toSummary(chat), messages: chat.messages };
+};
+
+/**
+ * Start a chat on a connection
+ * @param {string} userId - Owner
+ * @param {object} fields - { connectionId, name, messages }
+ * @returns {object} - Chat summary plus messages
+ */
+const createChatSession = (userId, { connectionId, name, messages = [] }) => {
+    if (typeof connectionId !== 'string' || !connectionId) {
+        throw new ChatSessionError('Connection ID is required');
+    }
+
+    const now = new Date().toISOString();
+    const chat = {
+        id: crypto.randomUUID(),
+        userId,
+        connectionId,
+        name: normalizeName(name),
+        messages: normalizeMessages(messages),
+        createdAt: now,
+        updatedAt: now,
+    };
+
+    chatStore.update(data => {
+        data.chats.push(chat);
+    });
+
+    return { ...toSummary(chat), messages: chat.messages };
+};
+
+/**
+ * Rename a chat and/or replace its messages
+ * @param {string} userId - Owner
+ * @param {string} id - Chat ID
+ * @param {object} fields - Any of { name, messages }
+ * @returns {object} - Chat summary
+ */
+const updateChatSession = (userId, id, { name, messages }) => {
+    const normalizedName = name !== undefined ? normalizeName(name) : undefined;
+    const normalizedMessages = messages !== undefined ? normalizeMessages(messages) : undefined;
+
+    return chatStore.update(data => {
+        const chat = findChat(data, userId, id);
+
+        if (normalizedName !== undefined) chat.name = normalizedName;
+        if (normalizedMessages !== undefined) chat.messages = normalizedMessages;
+        chat.updatedAt = new Date().toISOString();
+
+        return toSummary(chat);
+    });
+};
+
+/**
+ * Delete a chat
+ * @param {string} userId - Owner
+ * @param {string} id - Chat ID
+ */
+const deleteChatSession = (userId, id) => {
+    chatStore.update(data => {
+        const chat = findChat(data, userId, id);
+        data.chats = data.chats.filter(c => c !== chat);
+    });
+};
+
+/**
+ * Delete every chat on a connection, when the connection itself is deleted
+ * @param {string} userId - Owner
+ * @param {string} connectionId - Connection ID
+ */
+const deleteChatSessionsForConnection = (userId, connectionId) => {
+    chatStore.update(data => {
+        data.chats = data.chats.filter(c => !(c.userId === userId && c.connectionId === connectionId));
+    });
+};
+
+module.exports = {
+    ChatSessionError,
+    listChatSessions,
+    getChatSession,
+    createChatSession,
+    updateChatSession,
+    deleteChatSession,
+    deleteChatSessionsForConnection,
+};
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore, DATA_DIR } = require('./jsonStore');
+const { HttpError } = require('./errors');
+
+const CIPHER = 'aes-256-gcm';
+const DB_TYPES = ['postgres', 'mysql', 'mongodb', 'sqlite', 'duckdb', 'mssql'];
+
+const connectionStore = createJsonStore('connections.json', () => ({ connections: [] }));
+
+class VaultError extends HttpError {}
+
+/**
+ * Load the master key.
+ *
+ * CONNECTION_VAULT_KEY may be 64 hex characters (used as-is) or any passphrase
+ * (stretched with scrypt). Without it, a random key is generated once into
+ * DATA_DIR so development works out of the box; production should always set
+ * the variable so the key does not live next to the data it protects.
+ */
+const loadMasterKey = () => {
+    const configured = process.env.CONNECTION_VAULT_KEY;
+
+    if (configured) {
+        if (/^[0-9a-f]{64}$/i.test(configured)) {
+            return Buffer.from(configured, 'hex');
+        }
+        return crypto.scryptSync(configured, 'ai-database-query-connection-vault', 32);
+    }
+
+    const keyPath = path.join(DATA_DIR, 'vault.key');
+    if (!fs.existsSync(keyPath)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.writeFileSync(keyPath, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+    }
+    console.warn('⚠️ CONNECTION_VAULT_KEY not set. Using the generated key in', keyPath);
+    return Buffer.from(fs.readFileSync(keyPath, 'utf8').trim(), 'hex');
+};
+
+const masterKey = loadMasterKey();
+
+// The record and owner are bound in as associated data, so a ciphertext
+// copied onto another user's record fails to decrypt
+const associatedData = (record) => Buffer.from(`${record.userId}:${record.id}`);
+
+const encrypt = (plaintext, record) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, masterKey, iv);
+    cipher.setAAD(associatedData(record));
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+};
+
+const decrypt = (encrypted, record) => {
+    const decipher = crypto.createDecipheriv(CIPHER, masterKey, Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAAD(associatedData(record));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(encrypted.data, 'base64')),
+        decipher.final(),
+    ]).toString('utf8');
+};
+
+/**
+ * Hide the password in a connection string for display
+ * @param {string} connectionString - Connection string
+ * @returns {string}
+ */
+const redactConnectionString = (connectionString) =>
+    connectionString.replace(/\/\/([^:@/]+):[^@]*@/, '//$1:****@');
+
+/**
+ * Connection as returned to the client - never includes the connection string
+ */
+const toPublicConnection = (record) => ({
+    id: record.id,
+    name: record.name,
+    dbType: record.dbType,
+    llm: record.llm || null,
+    readOnly: Boolean(record.readOnly),
+    schemas: normalizeSchemas(record.schemas),
+    displayString: record.displayString,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+});
+
+const normalizeLLM = (llm) => ({
+    provider: typeof llm?.provider === 'string' && llm.provider ? llm.provider : null,
+    model: typeof llm?.model === 'string' && llm.model.trim() ? llm.model.trim() : null,
+});
+
+// Schemas (PostgreSQL) or databases (MySQL) the AI sees: an empty include list means all
+// accessible ones, and exclude is applied after it
+const normalizeSchemas = (schemas) => {
+    const names = (list) => Array.isArray(list)
+        ? [...new Set(list.filter(name => typeof name === 'string' && name.trim()).map(name => name.trim()))]
+        : [];
+    return { include: names(schemas?.include), exclude: names(schemas?.exclude) };
+};
+
+const validateFields = ({ name, connectionString, dbType }, { partial = false } = {}) => {
+    if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+        throw new VaultError('Connection name is required');
+    }
+    if ((!partial || connectionString !== undefined) &&
+        (typeof connectionString !== 'string' || !connectionString.trim())) {
+        throw new VaultError('Connection string is required');
+    }
+    if ((!partial || dbType !== undefined) && !DB_TYPES.includes(dbType)) {
+        throw new VaultError(`Unsupported database type: ${dbType}. Supported types: ${DB_TYPES.join(', ')}`);
+    }
+};
+
+const findRecord = (data, userId, id) => {
+    const record = data.connections.find(c => c.id === id && c.userId === userId);
+    if (!record) {
+        throw new VaultError('Connection not found', 404);
+    }
+    return record;
+};
+
+/**
+ * List a user's connections
+ * @param {string} userId - Owner
+ * @returns {Array} - Public connections
+ */
+const listConnections = (userId) =>
+    connectionStore.read().connections
+        .filter(c => c.userId === userId)
+        .map(toPublicConnection);
+
+/**
+ * Store a new connection
+ * @param {string} userId - Owner
+ * @param {object} fields - { name, connectionString, dbType, llm, readOnly, schemas }
+ * @returns {object} - Public connection
+ */
+const createConnection = (userId, fields) => {
+    validateFields(fields);
+
+    const now = new Date().toISOString();
+    const connectionString = fields.connectionString.trim();
+    const record = {
+        id: crypto.randomUUID(),
+        userId,
+        name: fields.name.trim(),
+        dbType: fields.dbType,
+        llm: normalizeLLM(fields.llm),
+        readOnly: Boolean(fields.readOnly),
+        schemas: normalizeSchemas(fields.schemas),
+        displayString: redactConnectionString(connectionString),
+        createdAt: now,
+        updatedAt: now,
+    };
+    record.connectionString = encrypt(connectionString, record);
+
+    connectionStore.update(data => {
+        data.connections.push(record);
+    });
+
+    return toPublicConnection(record);
+};
+
+/**
+ * Update a connection
+ * @param {string} userId - Owner
+ * @param {string} id - Connection ID
+ * @param {object} fields - Any of { name, connectionString, dbType, llm, readOnly, schemas }
+ * @returns {object} - Public connection
+ */
+const updateConnection = (userId, id, fields) => {
+    validateFields(fields, { partial: true });
+
+    return connectionStore.update(data => {
+        const record = findRecord(data, userId, id);
+
+        if (fields.name !== undefined) record.name = fields.name.trim();
+        if (fields.dbType !== undefined) record.dbType = fields.dbType;
+        if (fields.llm !== undefined) record.llm = normalizeLLM(fields.llm);
+        if (fields.readOnly !== undefined) record.readOnly = Boolean(fields.readOnly);
+        if (fields.schemas !== undefined) record.schemas = normalizeSchemas(fields.schemas);
+        if (fields.connectionString !== undefined) {
+            const connectionString = fields.connectionString.trim();
+            record.connectionString = encrypt(connectionString, record);
+            record.displayString = redactConnectionString(connectionString);
+        }
+        record.updatedAt = new Date().toISOString();
+
+        return toPublicConnection(record);
+    });
+};
+
+/**
+ * Delete a connection
+ * @param {string} userId - Owner
+ * @param {string} id - Connection ID
+ */
+const deleteConnection = (userId, id) => {
+    connectionStore.update(data => {
+        const record = findRecord(data, userId, id);
+        data.connections = data.connections.filter(c => c !== record);
+    });
+};
+
+/**
+ * Resolve a connection ID to its decrypted settings for query execution
+ * @param {string} userId - Owner
+ * @param {string} id - Connection ID
+ * @returns {object} - { id, name, dbType, readOnly, schemas, connectionString }
+ */
+const resolveConnection = (userId, id) => {
+    if (!id || typeof id !== 'string') {
+        throw new VaultError('Connection ID is required');
+    }
+
+    const record = findRecord(connectionStore.read(), userId, id);
+
+    let connectionString;
+    try {
+        connectionString = decrypt(record.connectionString, record);
+    } catch {
+        throw new VaultError('Stored connection could not be decrypted. Was CONNECTION_VAULT_KEY changed?', 500);
+    }
+
+    return {
+        id: record.id,
+        name: record.name,
+        dbType: record.dbType,
+        readOnly: Boolean(record.readOnly),
+        schemas: normalizeSchemas(record.schemas),
+        connectionString,
+    };
+};
+
+module.exports = {
+    VaultError,
+    listConnections,
+    createConnection,
+    updateConnection,
+    deleteConnection,
+    resolveConnection,
+};
@@ -0,0 +1,13 @@
+/**
+ * Error carrying the HTTP status the route should answer with. Each service
+ * has its own subclass, so routes can tell whose error it is.
+ */
+class HttpError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = new.target.name;
+        this.status = status;
+    }
+}
+
+module.exports = { HttpError };
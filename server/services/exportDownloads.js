@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+const DOWNLOAD_TIMEOUT = 60 * 1000; // 1 minute for the browser to start the download
+
+// Exports whose first rows are read, waiting for the browser to fetch them as a
+// native download. Each pins a connection, so they are kept in memory only and
+// closed if the download never starts.
+const downloads = new Map();
+
+class DownloadError extends HttpError {}
+
+const closeEntry = async (token, entry) => {
+    downloads.delete(token);
+    clearTimeout(entry.timer);
+    try {
+        await entry.download.close();
+    } catch (error) {
+        console.error('Error closing export download:', error);
+    }
+};
+
+/**
+ * Hold an export until its download is fetched
+ * @param {string} userId - Owner
+ * @param {object} download - What the download route streams, with close() => Promise to release it unfetched
+ * @returns {string} - Token for GET /api/export/:token, usable once
+ */
+const holdDownload = (userId, download) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const entry = { userId, download, timer: null };
+    entry.timer = setTimeout(() => closeEntry(token, entry), DOWNLOAD_TIMEOUT);
+    entry.timer.unref();
+    downloads.set(token, entry);
+    return token;
+};
+
+/**
+ * Take a held export for its download. The caller closes it once streamed.
+ * @param {string} userId - Owner
+ * @param {string} token - Token returned by holdDownload
+ * @returns {object} - The download as it was held
+ */
+const takeDownload = (userId, token) => {
+    const entry = downloads.get(token);
+    if (!entry || entry.userId !== userId) {
+        throw new DownloadError(`Download not found or expired. Downloads must start within ${DOWNLOAD_TIMEOUT / 1000} seconds; export the result again.`, 404);
+    }
+    downloads.delete(token);
+    clearTimeout(entry.timer);
+    return entry.download;
+};
+
+/**
+ * Close every held export, returning their connections to the pools
+ */
+const closeAllDownloads = async () => {
+    await Promise.all([...downloads].map(([token, entry]) => closeEntry(token, entry)));
+};
+
+module.exports = {
+    DownloadError,
+    holdDownload,
+    takeDownload,
+    closeAllDownloads,
+};
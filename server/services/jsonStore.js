@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Create a small JSON file-backed store under DATA_DIR.
+ *
+ * Reads and writes are synchronous so a read-modify-write in update() can
+ * never interleave with another request in this process. Writes go to a
+ * temporary file first and are renamed into place.
+ *
+ * @param {string} fileName - File name inside DATA_DIR
+ * @param {function} createDefault - Returns the initial data when the file does not exist
+ * @returns {object} - { read, write, update }
+ */
+function createJsonStore(fileName, createDefault = () => ({})) {
+    const filePath = path.join(DATA_DIR, fileName);
+
+    const read = () => {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return createDefault();
+            }
+            throw new Error(`Could not read ${fileName}: ${error.message}`);
+        }
+    };
+
+    const write = (data) => {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+        fs.renameSync(tempPath, filePath);
+    };
+
+    const update = (updater) => {
+        const data = read();
+        const result = updater(data);
+        write(data);
+        return result;
+    };
+
+    return { read, write, update };
+}
+
+module.exports = { createJsonStore, DATA_DIR };
@@ -0,0 +1,40 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Create a provider backed by the Google Gemini API
+ * @param {object} config - { apiKey }
+ * @returns {object} - LLM provider
+ */
+function createGeminiProvider({ apiKey } = {}) {
+    const configured = Boolean(apiKey) && apiKey !== 'your_gemini_api_key_here';
+    const genAI = configured ? new GoogleGenerativeAI(apiKey) : null;
+
+    return {
+        name: 'gemini',
+        label: 'Google Gemini',
+        defaultModels: {
+            generate: 'gemini-2.5-flash',
+            explain: 'gemini-2.5-flash-lite',
+            optimize: 'gemini-2.0-flash',
+            fix: 'gemini-2.5-flash',
+        },
+        configHint: 'Please set GEMINI_API_KEY in server/.env',
+
+        isConfigured() {
+            return configured;
+        },
+
+        async generate({ prompt, model, temperature, maxOutputTokens, topP, topK }) {
+            const generativeModel = genAI.getGenerativeModel({
+                model,
+                generationConfig: { temperature, maxOutputTokens, topP, topK }
+            });
+
+            const result = await generativeModel.generateContent(prompt);
+            const response = await result.response;
+            return response.text();
+        },
+    };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,80 @@
+const { createGeminiProvider } = require('./geminiProvider');
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+const { createMockProvider } = require('./mockProvider');
+
+/**
+ * LLM provider registry
+ *
+ * Every provider exposes the same interface:
+ *   - name, label
+ *   - defaultModels: { generate, explain, optimize, fix }
+ *   - isConfigured(): boolean
+ *   - generate({ task, prompt, model, temperature, maxOutputTokens, topP, topK }): Promise<string>
+ *
+ * The provider and model are chosen per request (the client sends the
+ * connection's settings); the server-side defaults come from the environment.
+ */
+const providers = new Map();
+
+const registerProvider = (provider) => {
+    providers.set(provider.name, provider);
+    return provider;
+};
+
+registerProvider(createGeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY,
+}));
+
+registerProvider(createOpenAICompatibleProvider({
+    baseUrl: process.env.OPENAI_BASE_URL,
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL,
+}));
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+
+// Offline answers are for tests and local development only, never something a connection can pick in production
+if (process.env.NODE_ENV === 'test' || DEFAULT_PROVIDER === 'mock') {
+    registerProvider(createMockProvider());
+}
+
+/**
+ * Resolve the provider and model to use for a task
+ * @param {string} task - 'generate' | 'explain' | 'optimize' | 'fix'
+ * @param {object} llm - Optional { provider, model } chosen by the user
+ * @returns {object} - { provider, model }
+ */
+const resolveLLM = (task, llm = {}) => {
+    const providerName = llm?.provider || DEFAULT_PROVIDER;
+    const provider = providers.get(providerName);
+
+    if (!provider) {
+        throw new Error(`Unknown LLM provider: ${providerName}. Available providers: ${Array.from(providers.keys()).join(', ')}`);
+    }
+
+    if (!provider.isConfigured()) {
+        throw new Error(`${provider.label} is not configured. ${provider.configHint}`);
+    }
+
+    const model = (typeof llm?.model === 'string' && llm.model.trim()) || provider.defaultModels[task];
+
+    return { provider, model };
+};
+
+/**
+ * List registered providers for the UI
+ * @returns {Array} - Provider summaries
+ */
+const listProviders = () => Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    configured: provider.isConfigured(),
+    isDefault: provider.name === DEFAULT_PROVIDER,
+    defaultModels: provider.defaultModels,
+}));
+
+module.exports = {
+    registerProvider,
+    resolveLLM,
+    listProviders,
+};
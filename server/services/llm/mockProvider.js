@@ -0,0 +1,66 @@
+/**
+ * Canned responses per task. Generation answers depend only on the prompt,
+ * so the same question always produces the same query.
+ */
+const DEFAULT_RESPONSES = {
+    generate: (prompt) => {
+        if (prompt.includes('MongoDB query generator')) {
+            return '{"collection": "test", "operation": "find", "filter": {}, "limit": 10}';
+        }
+        return 'SELECT 1 AS mock_result LIMIT 1';
+    },
+    explain: () => 'This query is answered by the mock LLM provider and returns a fixed sample result.',
+    optimize: (prompt) => {
+        const match = prompt.match(/SQL Query:\n([\s\S]*?)\n\nRespond with only the JSON object:/);
+        return JSON.stringify({
+            optimizedQuery: match ? match[1] : '',
+            improvements: [],
+            explanation: 'The mock LLM provider does not suggest optimizations.'
+        });
+    },
+    fix: (prompt) => {
+        const query = prompt.includes('MongoDB')
+            ? '{"collection": "test", "operation": "find", "filter": {}, "limit": 10}'
+            : 'SELECT 1 AS mock_result LIMIT 1';
+        return `${query}\nFIX: The mock LLM provider replaces the query with a fixed sample query.`;
+    },
+};
+
+/**
+ * Create a deterministic offline provider for tests and local development
+ * @param {object} config - { responses } to override the answer for a task;
+ *   { calls }, an array the test owns, to record every request made
+ * @returns {object} - LLM provider
+ */
+function createMockProvider({ responses = {}, calls = null } = {}) {
+    const handlers = { ...DEFAULT_RESPONSES, ...responses };
+
+    return {
+        name: 'mock',
+        label: 'Mock (offline)',
+        defaultModels: {
+            generate: 'mock',
+            explain: 'mock',
+            optimize: 'mock',
+            fix: 'mock',
+        },
+        configHint: '',
+
+        isConfigured() {
+            return true;
+        },
+
+        async generate(request) {
+            calls?.push(request);
+
+            const handler = handlers[request.task];
+            if (handler === undefined) {
+                throw new Error(`Mock provider has no response for task "${request.task}"`);
+            }
+
+            return typeof handler === 'function' ? handler(request.prompt, request) : handler;
+        },
+    };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,62 @@
+/**
+ * Create a provider for any OpenAI-compatible chat completions endpoint
+ * (OpenAI, a local llama.cpp server, Ollama, LM Studio, vLLM, ...)
+ * @param {object} config - { baseUrl, apiKey, model, timeout }
+ * @returns {object} - LLM provider
+ */
+function createOpenAICompatibleProvider({ baseUrl, apiKey, model, timeout = 60000 } = {}) {
+    const endpoint = baseUrl ? `${baseUrl.replace(/\/+$/, '')}/chat/completions` : null;
+
+    return {
+        name: 'openai',
+        label: 'OpenAI-compatible',
+        defaultModels: {
+            generate: model,
+            explain: model,
+            optimize: model,
+            fix: model,
+        },
+        configHint: 'Please set OPENAI_BASE_URL and OPENAI_MODEL in server/.env',
+
+        isConfigured() {
+            return Boolean(endpoint && model);
+        },
+
+        async generate({ prompt, model: requestModel, temperature, maxOutputTokens, topP }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: requestModel,
+                    messages: [{ role: 'user', content: prompt }],
+                    temperature,
+                    max_tokens: maxOutputTokens,
+                    top_p: topP,
+                    stream: false,
+                }),
+                signal: AbortSignal.timeout(timeout),
+            });
+
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                const message = data.error?.message || data.error || response.statusText;
+                throw new Error(`LLM endpoint returned ${response.status}: ${message}`);
+            }
+
+            const content = data.choices?.[0]?.message?.content;
+            if (typeof content !== 'string') {
+                throw new Error('LLM endpoint returned no message content');
+            }
+
+            return content;
+        },
+    };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,103 @@
+const { Parser: PostgresParser } = require('node-sql-parser/build/postgresql');
+const { Parser: MySQLParser } = require('node-sql-parser/build/mysql');
+const { Parser: SQLiteParser } = require('node-sql-parser/build/sqlite');
+const { Parser: TransactSQLParser } = require('node-sql-parser/build/transactsql');
+
+const PARSERS = {
+    postgres: { parser: new PostgresParser(), database: 'postgresql' },
+    mysql: { parser: new MySQLParser(), database: 'mysql' },
+    sqlite: { parser: new SQLiteParser(), database: 'sqlite' },
+    mssql: { parser: new TransactSQLParser(), database: 'transactsql' },
+};
+
+let analyzerPromise = null;
+
+/**
+ * Load the SQL analyzer shared with the client.
+ *
+ * shared/queryAnalyzer.js is an ES module (the repo root is "type": "module"),
+ * so it is loaded once with a dynamic import and bound to the server's parsers.
+ * @returns {Promise<object>} - { analyzeQuery, validateQuery }
+ */
+const getQueryAnalyzer = () => {
+    if (!analyzerPromise) {
+        analyzerPromise = import('../../shared/queryAnalyzer.js').then(({ createQueryAnalyzer, sqlDialect }) => ({
+            ...createQueryAnalyzer(Object.fromEntries(Object.entries(PARSERS).map(([dialect, { parser }]) => [dialect, parser]))),
+            sqlDialect,
+        }));
+    }
+    return analyzerPromise;
+};
+
+/**
+ * Analyze a query: statement types, touched tables, writes without WHERE
+ * @param {string} query - Query to analyze
+ * @param {string} dbType - Database type
+ * @returns {Promise<object>} - Query metadata
+ */
+const analyzeQuery = async (query, dbType) => (await getQueryAnalyzer()).analyzeQuery(query, dbType);
+
+/**
+ * Validate query structure
+ * @param {string} query - Query to validate
+ * @param {string} dbType - Database type
+ * @returns {Promise<object>} - { isValid, errors, warnings }
+ */
+const validateQuery = async (query, dbType) => (await getQueryAnalyzer()).validateQuery(query, dbType);
+
+const COUNT_COLUMN = { expr: { type: 'aggr_func', name: 'COUNT', args: { expr: { type: 'star', value: '*' } } }, as: 'count' };
+
+/**
+ * Plan the dry run of an UPDATE or DELETE: a COUNT(*) and a SELECT * over the
+ * statement's own table and WHERE clause, which read exactly the rows it would
+ * change. Statements where that is not so (joined tables, ORDER BY or LIMIT on
+ * the write, several statements) are not planned.
+ * @param {string} query - Query to preview
+ * @param {string} dbType - Database type
+ * @returns {Promise<object>} - { supported: true, operation, table, countQuery, sampleQuery },
+ *   or { supported: false, reason }
+ */
+const planWritePreview = async (query, dbType) => {
+    const unsupported = (reason) => ({ supported: false, reason });
+    const { analyzeQuery: analyze, sqlDialect } = await getQueryAnalyzer();
+
+    const { statements } = analyze(query, dbType);
+    if (statements.length !== 1) return unsupported('Only a single UPDATE or DELETE statement can be previewed');
+    const [statement] = statements;
+    if (statement.type !== 'update' && statement.type !== 'delete') {
+        return unsupported(`${statement.type.toUpperCase()} statements are not previewed`);
+    }
+    if (!statement.parsed) return unsupported('The statement could not be parsed');
+
+    const { parser, database } = PARSERS[sqlDialect(dbType)];
+    const ast = parser.astify(statement.sql, { database });
+    const node = Array.isArray(ast) ? ast[0] : ast;
+
+    // An UPDATE names its table in `table`, a DELETE in `from` (`table` being the tables deleted from)
+    const from = node.type === 'update' ? node.table : node.from;
+    const joined = !Array.isArray(from) || from.length !== 1 || from[0].join ||
+        (node.type === 'update' && node.from?.length > 0) ||
+        (node.type === 'delete' && node.table?.length > 1) ||
+        node.using?.length > 0;
+    if (joined) return unsupported('Statements that join several tables cannot be previewed');
+    if (node.orderby || node.limit?.value?.length > 0 || node.top) {
+        return unsupported('Statements with ORDER BY, LIMIT or TOP cannot be previewed');
+    }
+
+    const select = { with: node.with || null, type: 'select', from, where: node.where || null };
+    const { db, table } = from[0];
+    return {
+        supported: true,
+        operation: node.type,
+        table: db ? `${db}.${table}` : table,
+        countQuery: parser.sqlify({ ...select, columns: [COUNT_COLUMN] }, { database }),
+        sampleQuery: parser.sqlify({ ...select, columns: '*' }, { database }),
+    };
+};
+
+module.exports = {
+    getQueryAnalyzer,
+    analyzeQuery,
+    validateQuery,
+    planWritePreview,
+};
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+const CURSOR_IDLE_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+const MAX_CURSORS_PER_USER = 5;
+
+// Every open cursor pins a pooled connection, so they are kept in memory only
+// and closed as soon as they are exhausted, abandoned or idle
+const cursors = new Map();
+
+class CursorError extends HttpError {}
+
+const closeEntry = async (entry) => {
+    cursors.delete(entry.id);
+    clearTimeout(entry.idleTimer);
+    try {
+        await entry.source.close();
+    } catch (error) {
+        console.error('Error closing cursor:', error);
+    }
+};
+
+const touch = (entry) => {
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = setTimeout(() => closeEntry(entry), CURSOR_IDLE_TIMEOUT);
+    entry.idleTimer.unref();
+};
+
+/**
+ * Read the next page, reading one row ahead so hasMore is exact
+ */
+const readPage = async (entry) => {
+    const wanted = entry.pageSize + 1 - entry.buffer.length;
+    const rows = entry.buffer.concat(wanted > 0 ? await entry.source.read(wanted) : []);
+
+    const page = rows.slice(0, entry.pageSize);
+    entry.buffer = rows.slice(entry.pageSize);
+    entry.rowsRead += page.length;
+
+    return {
+        rows: page,
+        columns: entry.source.columns(page),
+        hasMore: entry.buffer.length > 0,
+        rowsRead: entry.rowsRead,
+    };
+};
+
+/**
+ * Open a cursor and read its first page. The cursor stays registered only
+ * while more rows remain.
+ * @param {string} userId - Owner
+ * @param {object} source - { read(count) => Promise<rows>, columns(rows) => string[], close() => Promise }
+ * @param {object} options - { pageSize }
+ * @returns {Promise<object>} - { cursorId, rows, columns, hasMore, rowsRead }
+ */
+const openCursor = async (userId, source, { pageSize }) => {
+    const owned = [...cursors.values()]
+        .filter(entry => entry.userId === userId)
+        .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+
+    // Evict the least recently used cursor rather than refusing the query
+    if (owned.length >= MAX_CURSORS_PER_USER) {
+        await closeEntry(owned[0]);
+    }
+
+    const entry = {
+        id: crypto.randomUUID(),
+        userId,
+        source,
+        pageSize,
+        buffer: [],
+        rowsRead: 0,
+        lastUsedAt: Date.now(),
+        idleTimer: null,
+    };
+
+    let page;
+    try {
+        page = await readPage(entry);
+    } catch (error) {
+        await closeEntry(entry);
+        throw error;
+    }
+
+    if (page.hasMore) {
+        cursors.set(entry.id, entry);
+        touch(entry);
+    } else {
+        await closeEntry(entry);
+    }
+
+    return { cursorId: page.hasMore ? entry.id : null, ...page };
+};
+
+/**
+ * Fetch the next page of an open cursor
+ * @param {string} userId - Owner
+ * @param {string} cursorId - Cursor ID returned by openCursor
+ * @returns {Promise<object>} - { cursorId, rows, columns, hasMore, rowsRead }
+ */
+const nextPage = async (userId, cursorId) => {
+    const entry = cursors.get(cursorId);
+    if (!entry || entry.userId !== userId) {
+        throw new CursorError('Cursor not found or expired. Run the query again.', 404);
+    }
+    if (entry.busy) {
+        throw new CursorError('The previous page is still loading', 409);
+    }
+
+    entry.busy = true;
+    entry.lastUsedAt = Date.now();
+    clearTimeout(entry.idleTimer);
+    try {
+        const page = await readPage(entry);
+        if (page.hasMore) {
+            touch(entry);
+        } else {
+            await closeEntry(entry);
+        }
+        return { cursorId: page.hasMore ? entry.id : null, ...page };
+    } catch (error) {
+        await closeEntry(entry);
+        throw error;
+    } finally {
+        entry.busy = false;
+    }
+};
+
+/**
+ * Close every open cursor, returning their connections to the pools
+ */
+const closeAllCursors = async () => {
+    await Promise.all([...cursors.values()].map(closeEntry));
+};
+
+module.exports = {
+    CursorError,
+    openCursor,
+    nextPage,
+    closeAllCursors,
+};
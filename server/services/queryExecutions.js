@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+// Executions in flight, by query ID
+const executions = new Map();
+
+class ExecutionError extends HttpError {}
+
+/**
+ * Raised in place of the driver's error when a query stopped because it was cancelled
+ */
+class QueryCancelledError extends Error {
+    constructor(message = 'Query was cancelled') {
+        super(message);
+        this.name = 'QueryCancelledError';
+    }
+}
+
+/**
+ * Register a query execution so it can be cancelled while it runs.
+ *
+ * The database code attaches a canceller once it knows how to stop the
+ * statement (backend PID, thread ID, operation comment) and detaches it
+ * before the connection goes back to the pool, so a late cancel can never
+ * hit another query that reuses the connection.
+ * @param {string} userId - Owner
+ * @param {string} [queryId] - ID chosen by the client, generated if missing
+ * @returns {object} - { id, cancelled, onCancel(fn), cancel(), finish() }
+ *   onCancel throws QueryCancelledError if the query was cancelled already
+ */
+const beginExecution = (userId, queryId) => {
+    if (queryId !== undefined && (typeof queryId !== 'string' || !/^[\w-]{1,64}$/.test(queryId))) {
+        throw new ExecutionError('Invalid query ID');
+    }
+
+    const id = queryId || crypto.randomUUID();
+    if (executions.has(id)) {
+        throw new ExecutionError('A query with this ID is already running', 409);
+    }
+
+    let canceller = null;
+
+    const execution = {
+        id,
+        userId,
+        cancelled: false,
+        onCancel: (fn) => {
+            // A cancel that arrived before the statement started stops it here
+            if (fn && execution.cancelled) {
+                throw new QueryCancelledError();
+            }
+            canceller = fn;
+        },
+        cancel: async () => {
+            if (execution.cancelled) return;
+            execution.cancelled = true;
+            if (!canceller) return;
+            try {
+                await canceller();
+            } catch (error) {
+                console.error('Error cancelling query:', error);
+            }
+        },
+        finish: () => {
+            canceller = null;
+            executions.delete(id);
+        },
+    };
+
+    executions.set(id, execution);
+    return execution;
+};
+
+/**
+ * Cancel a running query
+ * @param {string} userId - Owner
+ * @param {string} queryId - Query ID
+ */
+const cancelExecution = async (userId, queryId) => {
+    const execution = executions.get(queryId);
+    if (!execution || execution.userId !== userId) {
+        throw new ExecutionError('Query not found or already finished', 404);
+    }
+    await execution.cancel();
+};
+
+module.exports = {
+    ExecutionError,
+    QueryCancelledError,
+    beginExecution,
+    cancelExecution,
+};
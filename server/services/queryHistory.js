@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { HttpError } = require('./errors');
+
+// Oldest entries are dropped beyond this, per user
+const MAX_ENTRIES_PER_USER = 10000;
+const MAX_QUERY_LENGTH = 100000;
+const MAX_ERROR_LENGTH = 2000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const STATUSES = ['success', 'error', 'cancelled'];
+
+const historyStore = createJsonStore('history.json', () => ({ entries: [] }));
+
+class QueryHistoryError extends HttpError {}
+
+const toPublicEntry = (entry) => ({
+    id: entry.id,
+    connectionId: entry.connectionId,
+    query: entry.query,
+    status: entry.status,
+    rowCount: entry.rowCount,
+    executionTime: entry.executionTime,
+    error: entry.error,
+    createdAt: entry.createdAt,
+});
+
+const parseDate = (value, name) => {
+    if (value === undefined || value === '') return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new QueryHistoryError(`Invalid ${name} date`);
+    }
+    return time;
+};
+
+/**
+ * List a user's history, newest first
+ * @param {string} userId - Owner
+ * @param {object} filters - { connectionId, status, from, to, search, limit, offset }
+ *   from/to are ISO dates (inclusive); search matches the query text, case-insensitively
+ * @returns {object} - { entries, total }
+ */
+const listQueryHistory = (userId, { connectionId, status, from, to, search, limit, offset } = {}) => {
+    if (status && !STATUSES.includes(status)) {
+        throw new QueryHistoryError(`Invalid status: ${status}`);
+    }
+    const fromTime = parseDate(from, 'from');
+    const toTime = parseDate(to, 'to');
+    const terms = (search || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+    const matches = historyStore.read().entries.filter(entry => {
+        if (entry.userId !== userId) return false;
+        if (connectionId && entry.connectionId !== connectionId) return false;
+        if (status && entry.status !== status) return false;
+
+        const time = Date.parse(entry.createdAt);
+        if (fromTime !== null && time < fromTime) return false;
+        if (toTime !== null && time > toTime) return false;
+
+        const text = entry.query.toLowerCase();
+        return terms.every(term => text.includes(term));
+    });
+
+    // Entries are appended, so newest first is the reverse of storage order
+    matches.reverse();
+
+    return {
+        entries: matches.slice(start, start + pageSize).map(toPublicEntry),
+        total: matches.length,
+    };
+};
+
+/**
+ * Record a query run
+ * @param {string} userId - Owner
+ * @param {object} fields - { connectionId, query, status, rowCount, executionTime, error }
+ * @returns {object} - The stored entry
+ */
+const addQueryHistoryEntry = (userId, { connectionId, query, status, rowCount, executionTime, error }) => {
+    if (typeof connectionId !== 'string' || !connectionId) {
+        throw new QueryHistoryError('Connection ID is required');
+    }
+    if (typeof query !== 'string' || !query.trim()) {
+        throw new QueryHistoryError('Query is required');
+    }
+    if (!STATUSES.includes(status)) {
+        throw new QueryHistoryError(`Invalid status: ${status}`);
+    }
+
+    const entry = {
+        id: crypto.randomUUID(),
+        userId,
+        connectionId,
+        query: query.slice(0, MAX_QUERY_LENGTH),
+        status,
+        rowCount: typeof rowCount === 'number' ? rowCount : null,
+        executionTime: typeof executionTime === 'number' ? executionTime : null,
+        error: typeof error === 'string' ? error.slice(0, MAX_ERROR_LENGTH) : null,
+        createdAt: new Date().toISOString(),
+    };
+
+    historyStore.update(data => {
+        data.entries.push(entry);
+
+        const own = data.entries.filter(e => e.userId === userId);
+        if (own.length > MAX_ENTRIES_PER_USER) {
+            const dropped = new Set(own.slice(0, own.length - MAX_ENTRIES_PER_USER));
+            data.entries = data.entries.filter(e => !dropped.has(e));
+        }
+    });
+
+    return toPublicEntry(entry);
+};
+
+/**
+ * Delete a user's history, for one connection or all of them
+ * @param {string} userId - Owner
+ * @param {string} [connectionId] - Only clear this connection's history
+ */
+const clearQueryHistory = (userId, connectionId) => {
+    historyStore.update(data => {
+        data.entries = data.entries.filter(e =>
+            !(e.userId === userId && (!connectionId || e.connectionId === connectionId))
+        );
+    });
+};
+
+module.exports = {
+    QueryHistoryError,
+    listQueryHistory,
+    addQueryHistoryEntry,
+    clearQueryHistory,
+};
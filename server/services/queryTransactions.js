@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+const TRANSACTION_IDLE_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+const MAX_TRANSACTIONS_PER_USER = 3;
+
+// Every open transaction pins a connection and may hold locks, so they are
+// kept in memory only and rolled back as soon as they sit idle too long
+const transactions = new Map();
+
+class TransactionError extends HttpError {}
+// The database has given up on the transaction after a failed statement, so only a rollback is left
+class TransactionAbortedError extends TransactionError {}
+
+const summarize = (entry) => ({
+    id: entry.id,
+    connectionId: entry.connectionId,
+    startedAt: new Date(entry.startedAt).toISOString(),
+    expiresAt: new Date(entry.lastUsedAt + TRANSACTION_IDLE_TIMEOUT).toISOString(),
+    statementCount: entry.statementCount,
+});
+
+const endEntry = async (entry, commit) => {
+    transactions.delete(entry.id);
+    clearTimeout(entry.idleTimer);
+    await entry.session.end(commit);
+};
+
+const touch = (entry) => {
+    clearTimeout(entry.idleTimer);
+    entry.lastUsedAt = Date.now();
+    entry.idleTimer = setTimeout(() => {
+        endEntry(entry, false).catch(error => console.error('Error rolling back idle transaction:', error));
+    }, TRANSACTION_IDLE_TIMEOUT);
+    entry.idleTimer.unref();
+};
+
+const getEntry = (userId, transactionId) => {
+    const entry = transactions.get(transactionId);
+    if (!entry || entry.userId !== userId) {
+        throw new TransactionError(
+            `Transaction not found or expired. Transactions are rolled back after ${TRANSACTION_IDLE_TIMEOUT / 60000} minutes without a query.`,
+            404
+        );
+    }
+    if (entry.busy) {
+        throw new TransactionError('The transaction is still running the previous query', 409);
+    }
+    return entry;
+};
+
+/**
+ * Register a transaction that has been started on a session
+ * @param {string} userId - Owner
+ * @param {string} connectionId - Saved connection it runs on
+ * @param {object} session - { run(...) => Promise<result>, end(commit) => Promise }, already in the transaction
+ * @returns {object} - { id, connectionId, startedAt, expiresAt, statementCount }
+ */
+const beginTransaction = (userId, connectionId, session) => {
+    const owned = [...transactions.values()].filter(entry => entry.userId === userId);
+
+    // Unlike a cursor, an open transaction is never evicted: that would throw away its changes
+    if (owned.some(entry => entry.connectionId === connectionId)) {
+        throw new TransactionError('A transaction is already open on this connection. Commit or roll it back first.', 409);
+    }
+    if (owned.length >= MAX_TRANSACTIONS_PER_USER) {
+        throw new TransactionError(`At most ${MAX_TRANSACTIONS_PER_USER} transactions can be open at once. Commit or roll one back first.`, 409);
+    }
+
+    const entry = {
+        id: crypto.randomUUID(),
+        userId,
+        connectionId,
+        session,
+        startedAt: Date.now(),
+        lastUsedAt: Date.now(),
+        statementCount: 0,
+        busy: false,
+        idleTimer: null,
+    };
+    transactions.set(entry.id, entry);
+    touch(entry);
+
+    return summarize(entry);
+};
+
+/**
+ * The transaction a user has open on a connection
+ * @returns {object|null} - { id, connectionId, startedAt, expiresAt, statementCount }
+ */
+const findTransaction = (userId, connectionId) => {
+    const entry = [...transactions.values()].find(e => e.userId === userId && e.connectionId === connectionId);
+    return entry ? summarize(entry) : null;
+};
+
+/**
+ * Run a query inside an open transaction, one at a time. A failed query
+ * leaves the transaction open, to be rolled back (or, where the database
+ * allows it, carried on).
+ * @param {string} userId - Owner
+ * @param {string} transactionId - ID returned by beginTransaction
+ * @param {Function} run - (session, connectionId) => Promise<result>
+ * @returns {Promise<object>} - { result, transaction }
+ */
+const runInTransaction = async (userId, transactionId, run) => {
+    const entry = getEntry(userId, transactionId);
+
+    entry.busy = true;
+    clearTimeout(entry.idleTimer);
+    let result;
+    try {
+        result = await run(entry.session, entry.connectionId);
+        entry.statementCount++;
+    } finally {
+        entry.busy = false;
+        if (transactions.has(entry.id)) touch(entry);
+    }
+    return { result, transaction: summarize(entry) };
+};
+
+/**
+ * Commit or roll back an open transaction and release its connection
+ * @param {string} userId - Owner
+ * @param {string} transactionId - ID returned by beginTransaction
+ * @param {boolean} commit - false to roll back
+ * @returns {Promise<object>} - The transaction as it was when it ended
+ */
+const endTransaction = async (userId, transactionId, commit) => {
+    const entry = getEntry(userId, transactionId);
+    const summary = summarize(entry);
+    await endEntry(entry, commit);
+    return summary;
+};
+
+/**
+ * Roll back every open transaction, returning their connections to the pools
+ */
+const rollbackAllTransactions = async () => {
+    await Promise.all([...transactions.values()].map(entry =>
+        endEntry(entry, false).catch(error => console.error('Error rolling back transaction:', error))
+    ));
+};
+
+module.exports = {
+    TransactionError,
+    TransactionAbortedError,
+    beginTransaction,
+    findTransaction,
+    runInTransaction,
+    endTransaction,
+    rollbackAllTransactions,
+};
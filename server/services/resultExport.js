@@ -0,0 +1,301 @@
+const ExcelJS = require('exceljs');
+const parquet = require('parquetjs-lite');
+const { HttpError } = require('./errors');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    tsv: { contentType: 'text/tab-separated-values; charset=utf-8', extension: 'tsv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' },
+};
+
+// Excel's limits: rows per sheet (the header takes one) and characters per cell
+const XLSX_MAX_ROWS = 1048576 - 1;
+const XLSX_MAX_CELL_LENGTH = 32767;
+
+class ExportError extends HttpError {}
+
+/**
+ * Convert driver values to plain JavaScript values. BSON types from MongoDB
+ * become strings or numbers (an ObjectId its hex string), binary data becomes
+ * base64, and Date objects are kept so each format can write them natively.
+ */
+const toPlainValue = (value) => {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value;
+    if (typeof value === 'bigint') return value.toString();
+    if (Buffer.isBuffer(value)) return value.toString('base64');
+    if (Array.isArray(value)) return value.map(toPlainValue);
+    if (typeof value !== 'object') return value;
+
+    switch (value._bsontype) {
+        case undefined:
+            break;
+        case 'ObjectId':
+        case 'ObjectID':
+            return value.toHexString();
+        case 'Int32':
+        case 'Double':
+            return value.valueOf();
+        case 'Long':
+            return value.toString();
+        case 'Binary':
+            return value.toString('base64');
+        default:
+            // Decimal128, UUID, Timestamp, BSONRegExp, ...
+            return value.toString();
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toPlainValue(v)]));
+};
+
+/**
+ * A single value for a table cell: nested documents and arrays are written as JSON
+ */
+const toCellValue = (value) => {
+    const plain = toPlainValue(value);
+    if (plain !== null && typeof plain === 'object' && !(plain instanceof Date)) {
+        return JSON.stringify(plain);
+    }
+    return plain;
+};
+
+/**
+ * Write to a stream, waiting while its buffer is full
+ */
+const writeChunk = (out, chunk) => {
+    if (out.write(chunk)) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            out.off('close', onClose);
+            resolve();
+        };
+        const onClose = () => {
+            out.off('drain', onDrain);
+            reject(new Error('Export stream closed'));
+        };
+        out.once('drain', onDrain);
+        out.once('close', onClose);
+    });
+};
+
+const csvField = (value) => {
+    const cell = toCellValue(value);
+    if (cell === null) return '';
+    const text = cell instanceof Date ? cell.toISOString() : String(cell);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// TSV fields cannot contain tabs or line breaks, so they are escaped
+const tsvField = (value) => {
+    const cell = toCellValue(value);
+    if (cell === null) return '';
+    const text = cell instanceof Date ? cell.toISOString() : String(cell);
+    return text.replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+};
+
+const delimitedWriter = (out, columns, toField, separator) => ({
+    begin: () => writeChunk(out, columns.map(toField).join(separator) + '\n'),
+    write: (rows) => writeChunk(out, rows
+        .map(row => columns.map(col => toField(row[col])).join(separator) + '\n')
+        .join('')),
+    end: () => new Promise(resolve => out.end(resolve)),
+});
+
+const jsonWriter = (out) => {
+    let first = true;
+
+    return {
+        begin: () => writeChunk(out, '['),
+        write: (rows) => {
+            const chunk = rows
+                .map((row, i) => `${first && i === 0 ? '' : ','}\n${JSON.stringify(toPlainValue(row))}`)
+                .join('');
+            first = first && rows.length === 0;
+            return writeChunk(out, chunk);
+        },
+        end: () => new Promise(resolve => out.end('\n]\n', resolve)),
+    };
+};
+
+const ndjsonWriter = (out) => ({
+    begin: () => Promise.resolve(),
+    write: (rows) => writeChunk(out, rows.map(row => JSON.stringify(toPlainValue(row)) + '\n').join('')),
+    end: () => new Promise(resolve => out.end(resolve)),
+});
+
+const xlsxWriter = (out, columns) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: false, useSharedStrings: false });
+    let sheet = null;
+    let sheetCount = 0;
+    let sheetRows = 0;
+
+    // Rows beyond what one sheet can hold continue on the next sheet
+    const addSheet = async () => {
+        if (sheet) await sheet.commit();
+        sheetCount++;
+        sheet = workbook.addWorksheet(sheetCount === 1 ? 'Results' : `Results ${sheetCount}`);
+        sheet.addRow(columns).commit();
+        sheetRows = 0;
+    };
+
+    const toXlsxCell = (value) => {
+        const cell = toCellValue(value);
+        return typeof cell === 'string' && cell.length > XLSX_MAX_CELL_LENGTH ? cell.slice(0, XLSX_MAX_CELL_LENGTH) : cell;
+    };
+
+    return {
+        begin: addSheet,
+        write: async (rows) => {
+            for (const row of rows) {
+                if (sheetRows === XLSX_MAX_ROWS) await addSheet();
+                sheet.addRow(columns.map(col => toXlsxCell(row[col]))).commit();
+                sheetRows++;
+            }
+        },
+        end: async () => {
+            await sheet.commit();
+            await workbook.commit();
+        },
+    };
+};
+
+/**
+ * Parquet needs its schema up front, so column types are inferred from the
+ * first rows. A later value that does not fit its column's type fails the
+ * export rather than being written as null.
+ */
+const inferParquetType = (values) => {
+    const present = values.filter(v => v !== null && v !== undefined);
+    if (present.length === 0) return 'UTF8';
+    if (present.every(v => typeof v === 'boolean')) return 'BOOLEAN';
+    if (present.every(v => typeof v === 'number')) return 'DOUBLE';
+    if (present.every(v => v instanceof Date)) return 'TIMESTAMP_MILLIS';
+    return 'UTF8';
+};
+
+// What each inferred type holds, and its name in errors
+const PARQUET_TYPES = {
+    BOOLEAN: { fits: (cell) => typeof cell === 'boolean', label: 'boolean' },
+    DOUBLE: { fits: (cell) => typeof cell === 'number', label: 'number' },
+    TIMESTAMP_MILLIS: { fits: (cell) => cell instanceof Date, label: 'date' },
+};
+
+const toParquetValue = (value, type, column) => {
+    const cell = toCellValue(value);
+    if (cell === null) return null;
+
+    const expected = PARQUET_TYPES[type];
+    if (!expected) return cell instanceof Date ? cell.toISOString() : String(cell);
+    if (!expected.fits(cell)) {
+        throw new ExportError(
+            `Column "${column}" started with ${expected.label} values but later holds ${JSON.stringify(cell)}, which one Parquet column cannot store. ` +
+            'Cast the column to text in the query, or export as CSV or JSON.'
+        );
+    }
+    return cell;
+};
+
+const parquetWriter = (out, columns, sampleRows) => {
+    const types = Object.fromEntries(columns.map(col => [
+        col,
+        inferParquetType(sampleRows.map(row => toCellValue(row[col]))),
+    ]));
+    let writer = null;
+
+    return {
+        begin: async () => {
+            const schema = new parquet.ParquetSchema(Object.fromEntries(
+                columns.map(col => [col, { type: types[col], optional: true }])
+            ));
+            writer = await parquet.ParquetWriter.openStream(schema, out);
+        },
+        write: async (rows) => {
+            for (const row of rows) {
+                const record = {};
+                for (const col of columns) {
+                    const value = toParquetValue(row[col], types[col], col);
+                    // Optional fields are left out rather than set to null
+                    if (value !== null) record[col] = value;
+                }
+                await writer.appendRow(record);
+            }
+        },
+        // Closing the writer ends the output stream
+        end: () => writer.close(),
+    };
+};
+
+// Formats whose columns are fixed by the header written before the first row
+const TABULAR_FORMATS = ['csv', 'tsv', 'xlsx', 'parquet'];
+
+/**
+ * Refuse a batch with a field the header has no column for. MongoDB documents
+ * need not share a shape, and the columns come from the first batch only.
+ */
+const assertKnownFields = (rows, columns, format) => {
+    const known = new Set(columns);
+    for (const row of rows) {
+        const field = Object.keys(row).find(key => !known.has(key));
+        if (field !== undefined) {
+            throw new ExportError(
+                `Field "${field}" first appears after the first rows, so the ${format.toUpperCase()} file has no column for it. ` +
+                'List the fields with a projection, or export as JSON or NDJSON.'
+            );
+        }
+    }
+};
+
+/**
+ * Stream rows to `out` in an export format
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Writable} out - Destination, e.g. the HTTP response
+ * @param {object} options - { columns, firstRows, readRows }
+ *   firstRows is the first batch (used to infer Parquet types); readRows()
+ *   resolves to the next batch, empty once the result is exhausted. Tabular
+ *   formats fail with an ExportError on a row they could not write in full.
+ * @returns {Promise<number>} - Rows written
+ */
+const writeExport = async (format, out, { columns, firstRows, readRows }) => {
+    if (!EXPORT_FORMATS[format]) {
+        throw new ExportError(`Unsupported export format: ${format}`);
+    }
+    if (format === 'parquet' && columns.length === 0) {
+        throw new ExportError('A Parquet file needs at least one column');
+    }
+
+    const writer = {
+        csv: () => delimitedWriter(out, columns, csvField, ','),
+        tsv: () => delimitedWriter(out, columns, tsvField, '\t'),
+        json: () => jsonWriter(out),
+        ndjson: () => ndjsonWriter(out),
+        xlsx: () => xlsxWriter(out, columns),
+        parquet: () => parquetWriter(out, columns, firstRows),
+    }[format]();
+
+    await writer.begin();
+
+    let rows = firstRows;
+    let rowCount = 0;
+    while (rows.length > 0) {
+        if (out.destroyed) {
+            throw new Error('Export stream closed');
+        }
+        if (TABULAR_FORMATS.includes(format)) assertKnownFields(rows, columns, format);
+        await writer.write(rows);
+        rowCount += rows.length;
+        rows = await readRows();
+    }
+
+    await writer.end();
+    return rowCount;
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    ExportError,
+    writeExport,
+};
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { HttpError } = require('./errors');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_QUERY_LENGTH = 50000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+const savedQueryStore = createJsonStore('saved-queries.json', () => ({ queries: [] }));
+
+let parametersPromise = null;
+
+/**
+ * Load the placeholder helpers shared with the client (an ES module, like the analyzer)
+ * @returns {Promise<object>} - shared/queryParameters.js exports
+ */
+const getQueryParameters = () => {
+    if (!parametersPromise) {
+        parametersPromise = import('../../shared/queryParameters.js');
+    }
+    return parametersPromise;
+};
+
+class SavedQueryError extends HttpError {}
+
+const toPublicQuery = (saved) => ({
+    id: saved.id,
+    connectionId: saved.connectionId,
+    name: saved.name,
+    description: saved.description,
+    tags: saved.tags,
+    query: saved.query,
+    parameters: saved.parameters,
+    createdAt: saved.createdAt,
+    updatedAt: saved.updatedAt,
+});
+
+const normalizeName = (name) => {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new SavedQueryError('Name is required');
+    }
+    return name.trim().slice(0, MAX_NAME_LENGTH);
+};
+
+const normalizeDescription = (description) => {
+    if (description === undefined || description === null) return '';
+    if (typeof description !== 'string') {
+        throw new SavedQueryError('Description must be a string');
+    }
+    return description.trim().slice(0, MAX_DESCRIPTION_LENGTH);
+};
+
+// Tags are compared case-insensitively, so they are stored lowercase and without duplicates
+const normalizeTags = (tags) => {
+    if (tags === undefined || tags === null) return [];
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        throw new SavedQueryError('Tags must be an array of strings');
+    }
+    const normalized = [...new Set(tags
+        .map(tag => tag.trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+        .filter(Boolean))];
+    if (normalized.length > MAX_TAGS) {
+        throw new SavedQueryError(`A saved query can have at most ${MAX_TAGS} tags`);
+    }
+    return normalized;
+};
+
+const normalizeQuery = (query) => {
+    if (typeof query !== 'string' || !query.trim()) {
+        throw new SavedQueryError('Query is required');
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+        throw new SavedQueryError(`Query is too long (max ${MAX_QUERY_LENGTH} characters)`);
+    }
+    return query.trim();
+};
+
+/**
+ * One definition per placeholder in the query, with the given types and
+ * defaults. Defaults are checked against their type up front.
+ */
+const normalizeParameters = async (query, dbType, parameters) => {
+    if (parameters !== undefined && parameters !== null && !Array.isArray(parameters)) {
+        throw new SavedQueryError('Parameters must be an array');
+    }
+    const { mergeParameterDefinitions, coerceParameterValue } = await getQueryParameters();
+    const definitions = mergeParameterDefinitions(query, dbType, parameters || []);
+
+    for (const definition of definitions) {
+        definition.defaultValue = definition.defaultValue === null ? '' : String(definition.defaultValue);
+        if (definition.defaultValue !== '') {
+            try {
+                coerceParameterValue(definition, definition.defaultValue);
+            } catch (error) {
+                throw new SavedQueryError(`Invalid default value: ${error.message}`);
+            }
+        }
+    }
+
+    return definitions;
+};
+
+const findSavedQuery = (data, userId, id) => {
+    const saved = data.queries.find(q => q.id === id && q.userId === userId);
+    if (!saved) {
+        throw new SavedQueryError('Saved query not found', 404);
+    }
+    return saved;
+};
+
+/**
+ * List a user's saved queries, by name
+ * @param {string} userId - Owner
+ * @param {string} [connectionId] - Only this connection's queries
+ * @returns {Array} - Saved queries
+ */
+const listSavedQueries = (userId, connectionId) =>
+    savedQueryStore.read().queries
+        .filter(saved => saved.userId === userId && (!connectionId || saved.connectionId === connectionId))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(toPublicQuery);
+
+/**
+ * Load one saved query
+ * @param {string} userId - Owner
+ * @param {string} id - Saved query ID
+ * @returns {object} - Saved query
+ */
+const getSavedQuery = (userId, id) => toPublicQuery(findSavedQuery(savedQueryStore.read(), userId, id));
+
+/**
+ * Save a query for a connection
+ * @param {string} userId - Owner
+ * @param {object} fields - { connectionId, name, description, tags, query, parameters }
+ *   parameters is [{ name, type, required, defaultValue }]; placeholders
+ *   without a definition get a required string parameter
+ * @param {string} dbType - The connection's database type, for finding placeholders
+ * @returns {Promise<object>} - Saved query
+ */
+const createSavedQuery = async (userId, { connectionId, name, description, tags, query, parameters }, dbType) => {
+    if (typeof connectionId !== 'string' || !connectionId) {
+        throw new SavedQueryError('Connection ID is required');
+    }
+
+    const normalizedQuery = normalizeQuery(query);
+    const now = new Date().toISOString();
+    const saved = {
+        id: crypto.randomUUID(),
+        userId,
+        connectionId,
+        name: normalizeName(name),
+        description: normalizeDescription(description),
+        tags: normalizeTags(tags),
+        query: normalizedQuery,
+        parameters: await normalizeParameters(normalizedQuery, dbType, parameters),
+        createdAt: now,
+        updatedAt: now,
+    };
+
+    savedQueryStore.update(data => {
+        data.queries.push(saved);
+    });
+
+    return toPublicQuery(saved);
+};
+
+/**
+ * Update a saved query
+ * @param {string} userId - Owner
+ * @param {string} id - Saved query ID
+ * @param {object} fields - Any of { name, description, tags, query, parameters }
+ * @param {string} dbType - The connection's database type, for finding placeholders
+ * @returns {Promise<object>} - Saved query
+ */
+const updateSavedQuery = async (userId, id, { name, description, tags, query, parameters }, dbType) => {
+    const current = findSavedQuery(savedQueryStore.read(), userId, id);
+
+    const changes = {};
+    if (name !== undefined) changes.name = normalizeName(name);
+    if (description !== undefined) changes.description = normalizeDescription(description);
+    if (tags !== undefined) changes.tags = normalizeTags(tags);
+    if (query !== undefined) changes.query = normalizeQuery(query);
+
+    // Placeholders follow the query text, so definitions are rebuilt whenever either changes
+    if (query !== undefined || parameters !== undefined) {
+        changes.parameters = await normalizeParameters(
+            changes.query ?? current.query,
+            dbType,
+            parameters !== undefined ? parameters : current.parameters
+        );
+    }
+
+    return savedQueryStore.update(data => {
+        const saved = findSavedQuery(data, userId, id);
+        Object.assign(saved, changes, { updatedAt: new Date().toISOString() });
+        return toPublicQuery(saved);
+    });
+};
+
+/**
+ * Delete a saved query
+ * @param {string} userId - Owner
+ * @param {string} id - Saved query ID
+ */
+const deleteSavedQuery = (userId, id) => {
+    savedQueryStore.update(data => {
+        const saved = findSavedQuery(data, userId, id);
+        data.queries = data.queries.filter(q => q !== saved);
+    });
+};
+
+/**
+ * Delete every saved query on a connection, when the connection itself is deleted
+ * @param {string} userId - Owner
+ * @param {string} connectionId - Connection ID
+ */
+const deleteSavedQueriesForConnection = (userId, connectionId) => {
+    savedQueryStore.update(data => {
+        data.queries = data.queries.filter(q => !(q.userId === userId && q.connectionId === connectionId));
+    });
+};
+
+/**
+ * Bind parameter values to a saved query
+ * @param {object} saved - Saved query
+ * @param {string} dbType - Database type of its connection
+ * @param {object} values - Parameter name to entered value
+ * @returns {Promise<object>} - { text, values } for the driver
+ */
+const bindSavedQuery = async (saved, dbType, values) => {
+    const { bindParameters, QueryParameterError } = await getQueryParameters();
+    try {
+        return bindParameters(saved.query, dbType, saved.parameters, values || {});
+    } catch (error) {
+        if (error instanceof QueryParameterError) throw new SavedQueryError(error.message);
+        throw error;
+    }
+};
+
+module.exports = {
+    SavedQueryError,
+    listSavedQueries,
+    getSavedQuery,
+    createSavedQuery,
+    updateSavedQuery,
+    deleteSavedQuery,
+    deleteSavedQueriesForConnection,
+    bindSavedQuery,
+};
@@ -0,0 +1,561 @@
+/**
+ * Query Analyzer
+ *
+ * SQL statement classification shared by the React client and the Express
+ * server. Statements are parsed into an AST with node-sql-parser; the parser
+ * instances are passed in so each side can bundle or require its own copy.
+ * When the parser does not understand a statement (EXPLAIN, vendor
+ * extensions, ...) a tokenizer that is aware of string literals, quoted
+ * identifiers and comments classifies it instead.
+ *
+ * This file must stay free of imports so both Vite and Node can load it.
+ */
+
+const STATEMENT_CATEGORIES = {
+    read: ['select', 'show', 'desc', 'describe', 'explain', 'values', 'table'],
+    write: ['insert', 'update', 'delete', 'replace', 'merge', 'upsert', 'copy', 'load'],
+    ddl: ['create', 'alter', 'drop', 'truncate', 'rename', 'comment', 'grant', 'revoke'],
+};
+
+const DANGEROUS_TYPES = ['drop', 'truncate', 'delete'];
+const WRITE_KEYWORDS = ['INSERT', 'UPDATE', 'DELETE', 'MERGE'];
+
+// Most severe category wins when a query holds several statements
+const CATEGORY_SEVERITY = ['unknown', 'other', 'read', 'write', 'ddl'];
+
+// MongoDB operations as the statement types they amount to, so they are confirmed like SQL
+const MONGO_STATEMENT_TYPES = {
+    find: 'select',
+    findOne: 'select',
+    countDocuments: 'select',
+    estimatedDocumentCount: 'select',
+    distinct: 'select',
+    aggregate: 'select',
+    explain: 'explain',
+    insertOne: 'insert',
+    insertMany: 'insert',
+    updateOne: 'update',
+    updateMany: 'update',
+    replaceOne: 'update',
+    findOneAndUpdate: 'update',
+    findOneAndReplace: 'update',
+    deleteOne: 'delete',
+    deleteMany: 'delete',
+    findOneAndDelete: 'delete',
+};
+
+const PARSER_DATABASES = {
+    postgres: 'postgresql',
+    mysql: 'mysql',
+    sqlite: 'sqlite',
+    mssql: 'transactsql',
+};
+
+/**
+ * The SQL dialect a database type is parsed and tokenized with.
+ * DuckDB follows PostgreSQL syntax closely enough to share its parser.
+ * @param {string} dbType - Database type
+ * @returns {string} - 'postgres' | 'mysql' | 'sqlite' | 'mssql'
+ */
+export function sqlDialect(dbType) {
+    return ['mysql', 'sqlite', 'mssql'].includes(dbType) ? dbType : 'postgres';
+}
+
+const categoryOf = (type) => {
+    for (const [category, types] of Object.entries(STATEMENT_CATEGORIES)) {
+        if (types.includes(type)) return category;
+    }
+    return type ? 'other' : 'unknown';
+};
+
+const mostSevere = (categories) => categories.reduce(
+    (worst, category) => CATEGORY_SEVERITY.indexOf(category) > CATEGORY_SEVERITY.indexOf(worst) ? category : worst,
+    'unknown'
+);
+
+/**
+ * Tokenize SQL into masked text.
+ *
+ * - `text`: comments removed and string literal contents blanked, so
+ *   keywords inside 'please delete' are never seen
+ * - `keywordText`: additionally blanks quoted identifiers ("delete", `drop`)
+ *
+ * Both keep the original length so offsets line up with the source.
+ *
+ * @param {string} sql - SQL text
+ * @param {string} dbType - 'postgres' | 'mysql' | 'sqlite' | 'mssql', as returned by sqlDialect
+ * @returns {object} - { text, keywordText, errors }
+ */
+export function maskSql(sql, dbType) {
+    let text = '';
+    let keywordText = '';
+    const errors = [];
+    let i = 0;
+
+    const emit = (textPart, keywordPart = textPart) => {
+        text += textPart;
+        keywordText += keywordPart;
+    };
+    const blank = (value) => value.replace(/[^\n]/g, ' ');
+
+    while (i < sql.length) {
+        const ch = sql[i];
+        const next = sql[i + 1];
+
+        if (ch === '-' && next === '-' || (dbType === 'mysql' && ch === '#')) {
+            const end = sql.indexOf('\n', i);
+            const stop = end === -1 ? sql.length : end;
+            emit(blank(sql.slice(i, stop)));
+            i = stop;
+        } else if (ch === '/' && next === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            if (end === -1) {
+                errors.push('Unclosed block comment detected');
+                emit(blank(sql.slice(i)));
+                i = sql.length;
+            } else {
+                emit(blank(sql.slice(i, end + 2)));
+                i = end + 2;
+            }
+        } else if (ch === '\'' || (dbType === 'mysql' && ch === '"')) {
+            // String literal: '' escapes a quote, MySQL also allows backslash escapes
+            let j = i + 1;
+            while (j < sql.length) {
+                if (sql[j] === '\\' && dbType === 'mysql') {
+                    j += 2;
+                } else if (sql[j] === ch && sql[j + 1] === ch) {
+                    j += 2;
+                } else if (sql[j] === ch) {
+                    break;
+                } else {
+                    j++;
+                }
+            }
+            if (j >= sql.length) {
+                errors.push(ch === '\'' ? 'Unclosed single quote detected' : 'Unclosed double quote detected');
+                emit(ch + blank(sql.slice(i + 1)));
+                i = sql.length;
+            } else {
+                emit(ch + blank(sql.slice(i + 1, j)) + ch);
+                i = j + 1;
+            }
+        } else if (ch === '$' && dbType === 'postgres' && /^\$[A-Za-z_]*\$/.test(sql.slice(i))) {
+            // PostgreSQL dollar-quoted string: $$...$$ or $tag$...$tag$
+            const tag = sql.slice(i).match(/^\$[A-Za-z_]*\$/)[0];
+            const end = sql.indexOf(tag, i + tag.length);
+            if (end === -1) {
+                errors.push('Unclosed dollar-quoted string detected');
+                emit(blank(sql.slice(i)));
+                i = sql.length;
+            } else {
+                emit('\'' + blank(sql.slice(i + 1, end + tag.length - 1)) + '\'');
+                i = end + tag.length;
+            }
+        } else if (ch === '"' || ch === '`' || ((dbType === 'sqlite' || dbType === 'mssql') && ch === '[')) {
+            // Quoted identifier; SQLite and SQL Server also accept [name]
+            const end = sql.indexOf(ch === '[' ? ']' : ch, i + 1);
+            if (end === -1) {
+                errors.push(ch === '"' ? 'Unclosed double quote detected' : ch === '[' ? 'Unclosed bracket detected' : 'Unclosed backtick detected');
+                emit(sql.slice(i), blank(sql.slice(i)));
+                i = sql.length;
+            } else {
+                const identifier = sql.slice(i, end + 1);
+                emit(identifier, blank(identifier));
+                i = end + 1;
+            }
+        } else {
+            emit(ch);
+            i++;
+        }
+    }
+
+    return { text, keywordText, errors };
+}
+
+/**
+ * Split SQL into statements on top-level semicolons
+ * @param {string} sql - SQL text
+ * @param {object} masked - Output of maskSql for the same text
+ * @returns {Array} - [{ sql, text, keywordText }]
+ */
+function splitStatements(sql, masked) {
+    const statements = [];
+    let start = 0;
+
+    const push = (end) => {
+        const statementSql = sql.slice(start, end);
+        if (masked.keywordText.slice(start, end).trim()) {
+            statements.push({
+                sql: statementSql.trim(),
+                text: masked.text.slice(start, end),
+                keywordText: masked.keywordText.slice(start, end),
+            });
+        }
+        start = end + 1;
+    };
+
+    for (let i = 0; i < masked.text.length; i++) {
+        if (masked.text[i] === ';') push(i);
+    }
+    push(masked.text.length);
+
+    return statements;
+}
+
+const unquote = (name) => name.replace(/["`]/g, '');
+
+/**
+ * Find whether the write at `offset` has a WHERE clause at the same nesting level
+ */
+function hasWhereAt(keywordText, offset) {
+    let depth = 0;
+    const rest = keywordText.slice(offset);
+
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === '(') depth++;
+        else if (rest[i] === ')') {
+            if (depth === 0) return false;
+            depth--;
+        } else if (depth === 0 && /^WHERE\b/i.test(rest.slice(i, i + 6)) && !/\w/.test(rest[i - 1] || '')) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Classify one statement without an AST
+ * @param {object} statement - { sql, text, keywordText }
+ * @returns {object} - Statement analysis
+ */
+function classifyWithTokens(statement) {
+    const keywordText = statement.keywordText.replace(/^[\s(]+/, '');
+    const firstKeyword = (keywordText.match(/^[A-Za-z]+/) || [''])[0].toLowerCase();
+    const offsetOf = (index) => statement.keywordText.length - keywordText.length + index;
+
+    let type = firstKeyword;
+    let category = categoryOf(type);
+    const writes = [];
+
+    if (firstKeyword === 'with') {
+        // A CTE can hide data-modifying statements: WITH d AS (DELETE ...) SELECT ...
+        for (const match of keywordText.matchAll(new RegExp(`\\b(${WRITE_KEYWORDS.join('|')})\\b`, 'gi'))) {
+            writes.push({ type: match[1].toLowerCase(), offset: offsetOf(match.index) });
+        }
+        type = writes.length > 0 ? writes[0].type : 'select';
+        category = writes.length > 0 ? 'write' : 'read';
+    } else if (firstKeyword === 'explain') {
+        // EXPLAIN ANALYZE really executes the statement it explains
+        const options = keywordText.match(/^EXPLAIN\s*(?:\(([^)]*)\))?\s*((?:(?:ANALY[SZ]E|VERBOSE)\s+)*)/i);
+        if (/\bANALY[SZ]E\b/i.test(`${options[1] || ''} ${options[2]}`)) {
+            const offset = statement.keywordText.length - keywordText.length + options[0].length;
+            const inner = classifyWithTokens({
+                sql: statement.sql,
+                text: statement.text.slice(offset),
+                keywordText: statement.keywordText.slice(offset),
+            });
+            if (inner.category === 'write' || inner.category === 'ddl') {
+                return { ...inner, sql: statement.sql };
+            }
+        }
+    } else if (firstKeyword === 'update' || firstKeyword === 'delete') {
+        writes.push({ type: firstKeyword, offset: offsetOf(0) });
+    }
+
+    const cteNames = firstKeyword === 'with'
+        ? [...statement.text.matchAll(/(?:\bWITH(?:\s+RECURSIVE)?|,)\s*([\w$]+|"[^"]*"|`[^`]*`)\s*(?:\([^)]*\)\s*)?AS\b/gi)]
+            .map(match => unquote(match[1]).toLowerCase())
+        : [];
+
+    const tables = [];
+    const tablePattern = /\b(?:FROM|JOIN|INTO|UPDATE|TABLE|TRUNCATE)\s+(?:ONLY\s+|IF\s+(?:NOT\s+)?EXISTS\s+)?((?:[\w$]+|"[^"]*"|`[^`]*`)(?:\.(?:[\w$]+|"[^"]*"|`[^`]*`))*)/gi;
+    for (const match of statement.text.matchAll(tablePattern)) {
+        const name = unquote(match[1]);
+        if (tables.includes(name) || cteNames.includes(name.toLowerCase()) || /^(SELECT|LATERAL|SET)$/i.test(name)) continue;
+        tables.push(name);
+    }
+
+    const checked = writes.filter(w => w.type === 'update' || w.type === 'delete');
+    const hasWhere = checked.length > 0
+        ? checked.every(w => hasWhereAt(statement.keywordText, w.offset))
+        : null;
+
+    return {
+        sql: statement.sql,
+        type: type || 'unknown',
+        category,
+        tables,
+        hasWhere,
+        missingWhere: hasWhere === false,
+        writeTypes: writes.map(w => w.type),
+        parsed: false,
+    };
+}
+
+/**
+ * Collect every UPDATE/DELETE node in an AST, including ones nested in CTEs
+ */
+function findWriteNodes(node, found = [], seen = new Set()) {
+    if (!node || typeof node !== 'object' || seen.has(node)) return found;
+    seen.add(node);
+
+    if ((node.type === 'update' || node.type === 'delete') && 'where' in node) {
+        found.push(node);
+    }
+    for (const value of Object.values(node)) {
+        findWriteNodes(value, found, seen);
+    }
+    return found;
+}
+
+/**
+ * Classify one statement from its AST
+ * @param {object} parser - node-sql-parser instance
+ * @param {string} database - Parser dialect name
+ * @param {object} statement - { sql, text, keywordText }
+ * @returns {object|null} - Statement analysis, or null if it cannot be parsed
+ */
+function classifyWithParser(parser, database, statement) {
+    let ast;
+    let tableRefs;
+    try {
+        ast = parser.astify(statement.sql, { database });
+        tableRefs = parser.tableList(statement.sql, { database });
+    } catch {
+        return null;
+    }
+
+    const node = Array.isArray(ast) ? ast[0] : ast;
+    if (!node || !node.type) return null;
+
+    const type = String(node.type).toLowerCase();
+    const cteNames = (node.with || []).map(cte => cte.name?.value ?? cte.name).filter(Boolean);
+
+    const tables = [];
+    const writeTypes = [];
+    for (const ref of tableRefs) {
+        const [operation, db, table] = ref.split('::');
+        const op = operation.toLowerCase();
+        if (STATEMENT_CATEGORIES.write.includes(op) && !writeTypes.includes(op)) writeTypes.push(op);
+
+        if (!table || table === 'null' || cteNames.includes(table)) continue;
+        const name = db && db !== 'null' ? `${db}.${table}` : table;
+        if (!tables.includes(name)) tables.push(name);
+    }
+
+    let category = categoryOf(type);
+    if (category === 'read' && writeTypes.length > 0) {
+        // SELECT on top of a data-modifying CTE
+        category = 'write';
+    }
+
+    const writeNodes = findWriteNodes(node);
+    const hasWhere = writeNodes.length > 0 ? writeNodes.every(n => Boolean(n.where)) : null;
+
+    const isSelectStar = type === 'select' && (
+        node.columns === '*' ||
+        (Array.isArray(node.columns) && node.columns.some(c => c.expr?.column === '*'))
+    );
+    const hasLimit = Boolean(
+        (node.limit && node.limit.value && node.limit.value.length > 0) ||
+        // SQL Server: SELECT TOP n, or OFFSET ... FETCH
+        node.top || node.limit?.fetch
+    );
+
+    return {
+        sql: statement.sql,
+        type: category === 'write' && type === 'select' ? writeTypes[0] : type,
+        category,
+        tables,
+        hasWhere,
+        missingWhere: hasWhere === false,
+        writeTypes,
+        isSelectStar,
+        hasLimit,
+        parsed: true,
+    };
+}
+
+/**
+ * Classify a MongoDB JSON query, one statement per operation (a bulkWrite has
+ * several). An update or delete with an empty filter has no WHERE; for the
+ * *Many operations that means every document.
+ * @param {string} query - JSON query
+ * @returns {Array} - Statement analyses, empty if the query is not valid JSON
+ */
+function classifyMongoQuery(query) {
+    let parsed;
+    try {
+        parsed = JSON.parse(query);
+    } catch {
+        return [];
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return [];
+
+    const { collection, operation = 'find', ...args } = parsed;
+    const tables = typeof collection === 'string' ? [collection] : [];
+    const operations = operation === 'bulkWrite' && Array.isArray(args.operations)
+        ? args.operations.map(entry => Object.entries(entry && typeof entry === 'object' ? entry : {})[0] || [])
+        : [[operation, args]];
+
+    return operations.map(([name, fields]) => {
+        const type = MONGO_STATEMENT_TYPES[name];
+        const filters = type === 'update' || type === 'delete';
+        const hasWhere = filters ? Object.keys(fields?.filter || {}).length > 0 : null;
+        return {
+            sql: JSON.stringify({ [name]: fields }),
+            type: type || 'unknown',
+            category: categoryOf(type),
+            tables,
+            hasWhere,
+            missingWhere: hasWhere === false && name.endsWith('Many'),
+            writeTypes: [],
+            parsed: Boolean(type),
+        };
+    });
+}
+
+/**
+ * Sum up the statements of a query
+ * @param {Array} statements - Statement analyses
+ * @returns {object} - Query metadata, with one entry per statement
+ */
+function summarizeStatements(statements) {
+    const type = mostSevere(statements.map(s => s.category));
+    const isRead = statements.some(s => s.category === 'read');
+    const isWrite = statements.some(s => s.category === 'write');
+    const isDDL = statements.some(s => s.category === 'ddl');
+    const missingWhere = statements.some(s => s.missingWhere);
+    const isDangerous = missingWhere || statements.some(s =>
+        DANGEROUS_TYPES.includes(s.type) || s.writeTypes.some(t => DANGEROUS_TYPES.includes(t))
+    );
+    const tables = [...new Set(statements.flatMap(s => s.tables))];
+
+    return {
+        type,
+        isDangerous,
+        requiresConfirmation: isDangerous || (statements.length > 1 && (isWrite || isDDL)),
+        isMultiStatement: statements.length > 1,
+        missingWhere,
+        tables,
+        statements: statements.map(s => ({
+            sql: s.sql,
+            type: s.type,
+            category: s.category,
+            tables: s.tables,
+            hasWhere: s.hasWhere,
+            missingWhere: s.missingWhere,
+            parsed: s.parsed,
+        })),
+        keywords: {
+            isRead,
+            isWrite,
+            isDDL,
+            isDangerous
+        }
+    };
+}
+
+/**
+ * Create an analyzer bound to the given parsers
+ * @param {object} parsers - { postgres, mysql, sqlite, mssql } node-sql-parser Parser instances
+ * @returns {object} - { analyzeQuery, validateQuery }
+ */
+export function createQueryAnalyzer(parsers = {}) {
+    const analyzeStatements = (query, dbType) => {
+        const dialect = sqlDialect(dbType);
+        const parser = parsers[dialect];
+        const masked = maskSql(query, dialect);
+
+        const statements = splitStatements(query, masked).map(statement =>
+            (parser && classifyWithParser(parser, PARSER_DATABASES[dialect], statement)) ||
+            classifyWithTokens(statement)
+        );
+
+        return { statements, tokenErrors: masked.errors };
+    };
+
+    /**
+     * Analyze query type and return metadata
+     * @param {string} query - Query to analyze
+     * @param {string} dbType - Database type ('postgres', 'mysql', 'sqlite', 'duckdb', 'mssql', 'mongodb')
+     * @returns {object} - Query metadata, with one entry per statement
+     */
+    const analyzeQuery = (query, dbType = 'postgres') => {
+        if (!query || !query.trim()) {
+            return { type: 'unknown', isDangerous: false, requiresConfirmation: false, statements: [], tables: [] };
+        }
+
+        if (dbType === 'mongodb') {
+            return summarizeStatements(classifyMongoQuery(query));
+        }
+
+        return summarizeStatements(analyzeStatements(query, dbType).statements);
+    };
+
+    /**
+     * Validate query structure
+     * @param {string} query - Query to validate
+     * @param {string} dbType - Database type
+     * @returns {object} - Validation result
+     */
+    const validateQuery = (query, dbType = 'postgres') => {
+        const errors = [];
+        const warnings = [];
+
+        if (!query || query.trim().length === 0) {
+            errors.push('Query is empty');
+            return { isValid: false, errors, warnings };
+        }
+
+        if (dbType === 'mongodb') {
+            // MongoDB validation - expect JSON
+            try {
+                const parsed = JSON.parse(query);
+                if (!parsed.collection) {
+                    warnings.push('No collection specified, will use "test"');
+                }
+                if (!parsed.operation) {
+                    warnings.push('No operation specified, defaulting to "find"');
+                }
+            } catch {
+                errors.push('Invalid MongoDB query format: Expected JSON');
+            }
+            return { isValid: errors.length === 0, errors, warnings };
+        }
+
+        const { statements, tokenErrors } = analyzeStatements(query, dbType);
+        errors.push(...tokenErrors);
+
+        const masked = maskSql(query, sqlDialect(dbType));
+        const openParens = (masked.keywordText.match(/\(/g) || []).length;
+        const closeParens = (masked.keywordText.match(/\)/g) || []).length;
+        if (openParens !== closeParens) {
+            errors.push('Unbalanced parentheses detected');
+        }
+
+        for (const statement of statements) {
+            if (!statement.parsed && (statement.category === 'unknown' || statement.category === 'other')) {
+                errors.push('Query does not appear to be valid SQL');
+            }
+            if (statement.isSelectStar && !statement.hasLimit) {
+                warnings.push(`SELECT * without ${dbType === 'mssql' ? 'TOP' : 'LIMIT'} may return large result sets`);
+            }
+            if (statement.missingWhere) {
+                warnings.push(`${statement.type.toUpperCase()} without a WHERE clause affects every row`);
+            }
+        }
+
+        if (statements.length > 1) {
+            warnings.push(`Query contains ${statements.length} statements`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: [...new Set(errors)],
+            warnings: [...new Set(warnings)]
+        };
+    };
+
+    return { analyzeQuery, validateQuery };
+}
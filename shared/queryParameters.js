@@ -0,0 +1,221 @@
+/**
+ * Query Parameters
+ *
+ * Placeholders in saved queries, shared by the React client (to build the
+ * parameter form) and the Express server (to bind values before running).
+ *
+ * SQL queries take `:name` or `{{name}}` placeholders. They are found outside
+ * string literals and comments, and are bound through the driver's own
+ * placeholder API ($1 for PostgreSQL and DuckDB, @p1 for SQL Server, ? for
+ * MySQL and SQLite), so values are never spliced into the SQL text. A string literal holding
+ * nothing but a placeholder ('{{name}}') is bound as well. MongoDB queries
+ * are JSON, so there a placeholder is a string value of exactly "{{name}}",
+ * replaced by the typed value; dates are written as Extended JSON
+ * ({"$date": ...}) so they compare as dates rather than strings.
+ *
+ * Only imports the analyzer next to it, so both Vite and Node can load it.
+ */
+
+import { maskSql, sqlDialect } from './queryAnalyzer.js';
+
+export const PARAMETER_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'datetime'];
+
+const NAME = '[A-Za-z_][A-Za-z0-9_]*';
+
+// A quoted placeholder, a bare {{name}}, or :name (the lookbehind skips PostgreSQL :: casts)
+const SQL_PLACEHOLDER = new RegExp(`(['"])\\{\\{\\s*(${NAME})\\s*\\}\\}\\1|\\{\\{\\s*(${NAME})\\s*\\}\\}|(?<![:\\w]):(${NAME})`, 'g');
+const MONGO_PLACEHOLDER = new RegExp(`^\\{\\{\\s*(${NAME})\\s*\\}\\}$`);
+const MONGO_PLACEHOLDER_TEXT = new RegExp(`"\\{\\{\\s*(${NAME})\\s*\\}\\}"`, 'g');
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Raised for a missing or malformed parameter value
+ */
+export class QueryParameterError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryParameterError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Placeholder occurrences in SQL, in order
+ * @returns {Array} - [{ name, start, end }] offsets into the original text
+ */
+const findSqlPlaceholders = (query, dbType) => {
+    // keywordText has comments, string contents and quoted identifiers blanked, at the original offsets
+    const { keywordText } = maskSql(query, sqlDialect(dbType));
+    const found = [];
+
+    for (const match of query.matchAll(SQL_PLACEHOLDER)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        const masked = keywordText.slice(start, end);
+
+        if (match[1]) {
+            // The literal must be a real string literal that holds only the placeholder
+            const quote = match[1];
+            if (masked[0] !== quote || masked[masked.length - 1] !== quote || masked.slice(1, -1).trim()) continue;
+        } else if (masked !== match[0]) {
+            continue;
+        }
+
+        found.push({ name: match[2] || match[3] || match[4], start, end });
+    }
+
+    return found;
+};
+
+/**
+ * Names of the placeholders in a query, each once, in order of appearance
+ * @param {string} query - Query text
+ * @param {string} dbType - 'postgres' | 'mysql' | 'sqlite' | 'duckdb' | 'mssql' | 'mongodb'
+ * @returns {Array<string>}
+ */
+export function findParameters(query, dbType) {
+    if (!query) return [];
+
+    const names = dbType === 'mongodb'
+        ? [...query.matchAll(MONGO_PLACEHOLDER_TEXT)].map(match => match[1])
+        : findSqlPlaceholders(query, dbType).map(placeholder => placeholder.name);
+
+    return [...new Set(names)];
+}
+
+/**
+ * Definitions for every placeholder in a query, keeping the settings of
+ * existing definitions and dropping those whose placeholder is gone
+ * @param {string} query - Query text
+ * @param {string} dbType - Database type
+ * @param {Array} definitions - [{ name, type, required, defaultValue }]
+ * @returns {Array} - One definition per placeholder
+ */
+export function mergeParameterDefinitions(query, dbType, definitions = []) {
+    return findParameters(query, dbType).map(name => {
+        const existing = definitions.find(def => def?.name === name) || {};
+        return {
+            name,
+            type: PARAMETER_TYPES.includes(existing.type) ? existing.type : 'string',
+            required: existing.required !== false,
+            defaultValue: existing.defaultValue ?? '',
+        };
+    });
+}
+
+/**
+ * Convert a form value to the parameter's type
+ * @param {object} definition - { name, type, required, defaultValue }
+ * @param {*} value - Value entered for the parameter
+ * @returns {*} - Typed value, or null for an empty optional parameter
+ */
+export function coerceParameterValue(definition, value) {
+    const { name, type } = definition;
+    let raw = value;
+
+    if (raw === undefined || raw === null || raw === '') raw = definition.defaultValue;
+    if (raw === undefined || raw === null || raw === '') {
+        if (definition.required !== false) {
+            throw new QueryParameterError(`A value is required for parameter "${name}"`);
+        }
+        return null;
+    }
+
+    const text = String(raw).trim();
+    const invalid = (expected) => new QueryParameterError(`Parameter "${name}" must be ${expected}`);
+
+    switch (type) {
+        case 'number': {
+            const number = Number(text);
+            if (text === '' || !Number.isFinite(number)) throw invalid('a number');
+            return number;
+        }
+        case 'integer': {
+            const number = Number(text);
+            if (!Number.isSafeInteger(number)) throw invalid('an integer');
+            return number;
+        }
+        case 'boolean':
+            if (raw === true || ['true', '1', 'yes'].includes(text.toLowerCase())) return true;
+            if (raw === false || ['false', '0', 'no'].includes(text.toLowerCase())) return false;
+            throw invalid('true or false');
+        case 'date':
+            if (!DATE.test(text) || Number.isNaN(Date.parse(text))) throw invalid('a date (YYYY-MM-DD)');
+            return text;
+        case 'datetime': {
+            const time = Date.parse(text);
+            if (Number.isNaN(time)) throw invalid('a date and time');
+            return new Date(time).toISOString();
+        }
+        default:
+            return String(raw);
+    }
+}
+
+/**
+ * Bind values to a query's placeholders
+ *
+ * PostgreSQL and DuckDB get $1, $2, ... (a name used twice reuses its number),
+ * SQL Server gets @p1, @p2, ... the same way, MySQL and SQLite get ? with
+ * the value repeated for each occurrence, and
+ * MongoDB gets the typed values written into the JSON, with dates as {"$date": ...}.
+ *
+ * @param {string} query - Query text with placeholders
+ * @param {string} dbType - 'postgres' | 'mysql' | 'sqlite' | 'duckdb' | 'mssql' | 'mongodb'
+ * @param {Array} definitions - [{ name, type, required, defaultValue }]
+ * @param {object} values - Parameter name to entered value
+ * @returns {object} - { text, values } to hand to the driver
+ */
+export function bindParameters(query, dbType, definitions = [], values = {}) {
+    const resolved = new Map();
+    const valueOf = (name) => {
+        if (!resolved.has(name)) {
+            const definition = definitions.find(def => def.name === name) || { name, type: 'string' };
+            resolved.set(name, coerceParameterValue(definition, values?.[name]));
+        }
+        return resolved.get(name);
+    };
+
+    if (dbType === 'mongodb') {
+        let parsed;
+        try {
+            parsed = JSON.parse(query, (key, value) => {
+                const match = typeof value === 'string' && value.match(MONGO_PLACEHOLDER);
+                if (!match) return value;
+                const bound = valueOf(match[1]);
+                const type = definitions.find(def => def.name === match[1])?.type;
+                return bound !== null && (type === 'date' || type === 'datetime')
+                    ? { $date: new Date(bound).toISOString() }
+                    : bound;
+            });
+        } catch (error) {
+            if (error instanceof QueryParameterError) throw error;
+            throw new QueryParameterError('Invalid MongoDB query format: Expected valid JSON');
+        }
+        return { text: JSON.stringify(parsed), values: [] };
+    }
+
+    const bound = [];
+    const positions = new Map();
+    let text = '';
+    let offset = 0;
+
+    for (const { name, start, end } of findSqlPlaceholders(query, dbType)) {
+        let marker;
+        if (dbType === 'mysql' || dbType === 'sqlite') {
+            bound.push(valueOf(name));
+            marker = '?';
+        } else {
+            if (!positions.has(name)) {
+                bound.push(valueOf(name));
+                positions.set(name, bound.length);
+            }
+            marker = dbType === 'mssql' ? `@p${positions.get(name)}` : `$${positions.get(name)}`;
+        }
+        text += query.slice(offset, start) + marker;
+        offset = end;
+    }
+
+    return { text: text + query.slice(offset), values: bound };
+}
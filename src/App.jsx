@@ -1,11 +1,13 @@
-import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { DatabaseProvider } from './contexts/DatabaseContext';
+import { ChatSessionProvider } from './contexts/ChatSessionContext';
 import AuthPage from './pages/AuthPage';
 import Dashboard from './pages/Dashboard';
 
 function ProtectedRoute({ children }) {
   const { user, loading } = useAuth();
+  const location = useLocation();
 
   if (loading) {
     return (
@@ -16,11 +18,13 @@ function ProtectedRoute({ children }) {
     );
   }
 
-  return user ? children : <Navigate to="/" replace />;
+  // The session is checked against the server; remember where we were headed
+  return user ? children : <Navigate to="/" replace state={{ from: location.pathname }} />;
 }
 
 function PublicRoute({ children }) {
   const { user, loading } = useAuth();
+  const location = useLocation();
 
   if (loading) {
     return (
@@ -31,7 +35,7 @@ function PublicRoute({ children }) {
     );
   }
 
-  return !user ? children : <Navigate to="/dashboard" replace />;
+  return !user ? children : <Navigate to={location.state?.from || '/dashboard'} replace />;
 }
 
 function AppRoutes() {
@@ -63,7 +67,9 @@ function App() {
     <BrowserRouter>
       <AuthProvider>
         <DatabaseProvider>
-          <AppRoutes />
+          <ChatSessionProvider>
+            <AppRoutes />
+          </ChatSessionProvider>
         </DatabaseProvider>
       </AuthProvider>
     </BrowserRouter>
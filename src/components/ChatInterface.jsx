@@ -1,18 +1,60 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useImperativeHandle } from 'react';
 import { useDatabase } from '../contexts/DatabaseContext';
-import { generateSQLQuery, explainSQLQuery, analyzeQuery, generateQuerySuggestions } from '../services/aiService';
-import { executeQuery, getDatabaseSchema } from '../services/databaseService';
-import { Send, Play, HelpCircle, AlertCircle, Loader2, Sparkles, Database, ChevronDown, ChevronUp, Copy, Check, AlertTriangle, RefreshCw, X } from 'lucide-react';
+import { useChatSessions } from '../contexts/useChatSessions';
+import { analyzeQuery, generateQuerySuggestions } from '../services/aiService';
+import { suggestChart, completeSettings, inferColumnTypes } from '../services/chartService';
+import ResultChart from './ResultChart';
+import SaveQueryDialog from './SaveQueryDialog';
+import { diffQueries } from '../services/queryDiff';
+import { selectRelevantSchema } from '../services/schemaRelevance';
+import { formatExtendedJson, plainResult } from '../services/extendedJson';
+import { executeQuery, cancelQuery, fetchMoreRows, previewWrite, exportQueryResult, getDatabaseSchema, generateSQLQuery, explainSQLQuery, fixSQLQuery, beginTransaction, getOpenTransaction, executeInTransaction, endTransaction } from '../services/databaseService';
+import { Send, Play, HelpCircle, AlertCircle, Loader2, Sparkles, Database, ChevronDown, ChevronUp, Copy, Check, AlertTriangle, RefreshCw, X, Download, Table, BarChart3, Bookmark, WandSparkles, Lock, Undo2 } from 'lucide-react';
 
-export default function ChatInterface() {
+// Errors a different query cannot fix: the AI is not offered these
+const UNFIXABLE_ERRORS = ['READ_ONLY_VIOLATION', 'PERMISSION_DENIED', 'INVALID_PARAMETERS', 'SAVED_QUERY_NOT_FOUND', 'CANCELLED', 'FILE_ACCESS_DENIED', 'TRANSACTION_NOT_FOUND', 'TRANSACTION_CONFLICT', 'TRANSACTION_ABORTED'];
+
+const AUTO_REPAIR_KEY = 'autoRepair';
+const MAX_AUTO_REPAIR_ATTEMPTS = 5;
+
+// Auto-repair is a per-browser preference, off until the user turns it on
+function loadAutoRepair() {
+    try {
+        return { enabled: false, maxAttempts: 3, ...JSON.parse(localStorage.getItem(AUTO_REPAIR_KEY)) };
+    } catch {
+        return { enabled: false, maxAttempts: 3 };
+    }
+}
+
+export default function ChatInterface({ ref, onSelectedQueryChange }) {
     const { selectedConnection, addQueryToHistory } = useDatabase();
-    const [messages, setMessages] = useState([]);
+    const { activeChat, saveChat } = useChatSessions();
+    // Mounted once per chat (keyed by the dashboard), so saved messages seed the state
+    const [messages, setMessages] = useState(() => [{
+        id: 'welcome',
+        role: 'system',
+        content: `Connected to **${selectedConnection.name}**. Ask me anything about your database!`,
+        timestamp: new Date()
+    }, ...(activeChat?.messages || [])]);
     const [input, setInput] = useState('');
     const [loading, setLoading] = useState(false);
     const [schema, setSchema] = useState(null);
     const [suggestions, setSuggestions] = useState([]);
     const [confirmDialog, setConfirmDialog] = useState(null);
+    const [saveDialog, setSaveDialog] = useState(null);
+    const [autoRepair, setAutoRepair] = useState(loadAutoRepair);
+    // Open transaction on this connection: queries run inside it until it is committed or rolled back
+    const [transaction, setTransaction] = useState(null);
+    const [transactionPending, setTransactionPending] = useState(false);
+    // Message whose query the schema diagram highlights; null follows the latest query
+    const [selectedMessageId, setSelectedMessageId] = useState(null);
     const messagesEndRef = useRef(null);
+    const inputRef = useRef(null);
+    const chatIdRef = useRef(activeChat?.id || null);
+    const savedMessagesRef = useRef(messages);
+    const saveQueueRef = useRef(Promise.resolve());
+    // Fixed query message ID -> the failed queries that led to it, oldest first
+    const repairAttemptsRef = useRef(new Map());
 
     const scrollToBottom = () => {
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -22,19 +64,45 @@ export default function ChatInterface() {
         scrollToBottom();
     }, [messages]);
 
+    const selectedMessage = messages.find(msg => msg.id === selectedMessageId && msg.sql)
+        || messages.findLast(msg => msg.sql);
+
+    useEffect(() => {
+        onSelectedQueryChange?.(selectedMessage?.sql || '');
+    }, [selectedMessage?.sql, onSelectedQueryChange]);
+
     // Load schema when connection changes
     useEffect(() => {
         if (selectedConnection) {
             loadSchema();
-            setMessages([{
-                id: 'welcome',
-                role: 'system',
-                content: `Connected to **${selectedConnection.name}**. Ask me anything about your database!`,
-                timestamp: new Date()
-            }]);
         }
     }, [selectedConnection]);
 
+    // A transaction outlives the page, so pick up one left open on this connection
+    useEffect(() => {
+        if (!selectedConnection) return undefined;
+        let cancelled = false;
+        getOpenTransaction(selectedConnection.id).then(open => !cancelled && setTransaction(open));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [selectedConnection]);
+
+    // Save the conversation whenever it changes. Saves run one after another,
+    // so the first one creates the chat and the rest update it.
+    useEffect(() => {
+        if (messages === savedMessagesRef.current || !messages.some(msg => msg.role === 'user')) return;
+        savedMessagesRef.current = messages;
+
+        saveQueueRef.current = saveQueueRef.current
+            .then(() => saveChat(chatIdRef.current, messages))
+            .then(chatId => {
+                chatIdRef.current = chatId;
+            })
+            .catch(error => console.error('Failed to save chat:', error));
+    }, [messages, saveChat]);
+
     // Update suggestions when schema changes
     useEffect(() => {
         if (schema) {
@@ -43,10 +111,14 @@ export default function ChatInterface() {
         }
     }, [schema, selectedConnection?.dbType]);
 
+    useEffect(() => {
+        localStorage.setItem(AUTO_REPAIR_KEY, JSON.stringify(autoRepair));
+    }, [autoRepair]);
+
     const loadSchema = async () => {
         if (!selectedConnection) return;
         try {
-            const schemaData = await getDatabaseSchema(selectedConnection.connectionString, selectedConnection.dbType);
+            const schemaData = await getDatabaseSchema(selectedConnection.id);
             setSchema(schemaData);
         } catch (error) {
             console.error('Failed to load schema:', error);
@@ -71,8 +143,12 @@ export default function ChatInterface() {
         try {
             // Generate SQL with the improved service - pass conversation history for context
             const dbType = selectedConnection?.dbType || 'postgres';
-            const result = await generateSQLQuery(input, schema, dbType, {
-                conversationHistory: messages // Pass existing messages for context
+            // Only the tables that matter for this question (and the last few queries) go into the prompt
+            const recentSql = messages.filter(msg => msg.sql).slice(-3).map(msg => msg.sql).join('\n');
+            const relevantSchema = selectRelevantSchema(schema, input, { recentSql });
+            const result = await generateSQLQuery(input, relevantSchema, dbType, {
+                conversationHistory: messages, // Pass existing messages for context
+                llm: selectedConnection.llm
             });
 
             const aiMessageId = (Date.now() + 1).toString();
@@ -89,30 +165,11 @@ export default function ChatInterface() {
                 content: `I generated this ${queryType} for you:${warningMessage}`,
                 sql: result.query,
                 queryAnalysis: result.analysis,
+                chartSuggestion: result.chart,
                 timestamp: new Date()
             }]);
 
-            // Check if query requires confirmation
-            if (result.analysis.requiresConfirmation) {
-                setConfirmDialog({
-                    messageId: aiMessageId,
-                    query: result.query,
-                    analysis: result.analysis,
-                    onConfirm: () => {
-                        handleExecuteQuery(result.query, aiMessageId);
-                        setConfirmDialog(null);
-                    },
-                    onCancel: () => {
-                        setMessages(prev => prev.map(msg =>
-                            msg.id === aiMessageId ? { ...msg, executionStatus: 'cancelled' } : msg
-                        ));
-                        setConfirmDialog(null);
-                    }
-                });
-            } else {
-                // Execute automatically for safe queries
-                await handleExecuteQuery(result.query, aiMessageId);
-            }
+            await requestExecution(result.query, aiMessageId, result.analysis);
 
         } catch (error) {
             setMessages(prev => [...prev, {
@@ -126,23 +183,54 @@ export default function ChatInterface() {
         }
     };
 
-    const handleExecuteQuery = async (sql, messageId) => {
+    // Dangerous queries, and writes whose changed rows can be counted first, wait for the user to confirm;
+    // the rest run right away
+    const requestExecution = async (sql, messageId, analysis, runOptions = {}) => {
+        if (!analysis.requiresConfirmation && !isPreviewable(analysis, runOptions)) {
+            await handleExecuteQuery(sql, messageId, runOptions);
+            return;
+        }
+
+        setConfirmDialog({
+            messageId,
+            query: sql,
+            analysis,
+            runOptions,
+            onConfirm: () => {
+                handleExecuteQuery(sql, messageId, runOptions);
+                setConfirmDialog(null);
+            },
+            onCancel: () => {
+                setMessages(prev => prev.map(msg =>
+                    msg.id === messageId ? { ...msg, executionStatus: 'cancelled' } : msg
+                ));
+                setConfirmDialog(null);
+            }
+        });
+    };
+
+    // runOptions: { savedQueryId, params } to run a saved query with its parameter values
+    const handleExecuteQuery = async (sql, messageId, runOptions = {}) => {
         try {
             console.log('Executing Query:', {
-                connectionString: selectedConnection?.connectionString ? '***hidden***' : null,
+                connectionId: selectedConnection?.id,
                 sql: sql,
                 dbType: selectedConnection?.dbType
             });
 
-            if (!selectedConnection?.connectionString) {
-                throw new Error('No connection string found. Please check your database connection settings.');
+            if (!selectedConnection?.id) {
+                throw new Error('No connection selected. Please check your database connection settings.');
             }
 
+            const queryId = crypto.randomUUID();
             setMessages(prev => prev.map(msg =>
-                msg.id === messageId ? { ...msg, executionStatus: 'running' } : msg
+                msg.id === messageId ? { ...msg, executionStatus: 'running', queryId } : msg
             ));
 
-            const result = await executeQuery(selectedConnection.connectionString, sql, selectedConnection.dbType);
+            const result = transaction
+                ? await executeInTransaction(transaction.id, sql, { queryId, ...runOptions })
+                : await executeQuery(selectedConnection.id, sql, { queryId, ...runOptions });
+            if (result.transaction) setTransaction(result.transaction);
 
             setMessages(prev => prev.map(msg =>
                 msg.id === messageId ? {
@@ -154,7 +242,6 @@ export default function ChatInterface() {
 
             addQueryToHistory({
                 query: sql,
-                timestamp: new Date().toISOString(),
                 status: 'success',
                 connectionId: selectedConnection.id,
                 rowCount: result.rowCount,
@@ -162,35 +249,257 @@ export default function ChatInterface() {
             });
 
         } catch (error) {
+            const cancelled = error.code === 'CANCELLED';
+            // Rolled back after sitting idle; later queries run on their own again
+            if (error.code === 'TRANSACTION_NOT_FOUND') setTransaction(null);
+
             setMessages(prev => prev.map(msg =>
                 msg.id === messageId ? {
                     ...msg,
-                    executionStatus: 'error',
-                    executionError: error.message
+                    executionStatus: cancelled ? 'cancelled' : 'error',
+                    executionError: cancelled ? null : error.message,
+                    executionErrorCode: error.code,
+                    executionDatabaseError: error.databaseError
                 } : msg
             ));
 
             addQueryToHistory({
                 query: sql,
-                timestamp: new Date().toISOString(),
-                status: 'error',
+                status: cancelled ? 'cancelled' : 'error',
                 connectionId: selectedConnection.id,
                 error: error.message
             });
+
+            const attempts = repairAttemptsRef.current.get(messageId) || [];
+            if (autoRepair.enabled && isFixable(error.code, runOptions) && attempts.length < autoRepair.maxAttempts) {
+                await handleFixQuery({
+                    messageId,
+                    sql,
+                    error: error.message,
+                    errorCode: error.code,
+                    databaseError: error.databaseError
+                }, { auto: true });
+            }
         }
     };
 
+    // Sends a failed query, its error and the schema to the AI and adds the corrected query.
+    // Auto-repair runs the fix straight away, but only when it is a read.
+    const handleFixQuery = async ({ messageId, sql, error, errorCode, databaseError }, { auto = false } = {}) => {
+        const previousAttempts = repairAttemptsRef.current.get(messageId) || [];
+        updateMessage(messageId, { fixing: true });
+
+        try {
+            const fix = await fixSQLQuery(
+                sql,
+                { errorCode, error, databaseError, previousAttempts },
+                // The tables the failed query names rank first, plus those the error mentions
+                selectRelevantSchema(schema, databaseError || error || '', { recentSql: sql }),
+                selectedConnection?.dbType,
+                selectedConnection?.llm
+            );
+
+            const fixMessageId = Date.now().toString();
+            const attempts = [...previousAttempts, { query: sql, error: databaseError || error }];
+            repairAttemptsRef.current.set(fixMessageId, attempts);
+            // Single reads, the same queries that can be exported, are safe to run unattended
+            const runNow = auto && isExportable(fix.query, fix.analysis, selectedConnection?.dbType);
+
+            setMessages(prev => [...prev.map(msg =>
+                msg.id === messageId ? { ...msg, fixing: false } : msg
+            ), {
+                id: fixMessageId,
+                role: 'assistant',
+                content: auto
+                    ? `Auto-fix attempt ${attempts.length} of ${autoRepair.maxAttempts}:${runNow ? '' : ' the fix changes data, so it waits for you to run it.'}`
+                    : 'I fixed the query:',
+                sql: fix.query,
+                queryAnalysis: fix.analysis,
+                fixedFrom: sql,
+                fixExplanation: fix.explanation,
+                repairAttempt: attempts.length,
+                timestamp: new Date()
+            }]);
+
+            if (runNow) {
+                await requestExecution(fix.query, fixMessageId, fix.analysis);
+            }
+        } catch (err) {
+            setMessages(prev => [...prev.map(msg =>
+                msg.id === messageId ? { ...msg, fixing: false } : msg
+            ), {
+                id: Date.now().toString(),
+                role: 'error',
+                content: `Failed to fix query: ${err.message}`,
+                timestamp: new Date()
+            }]);
+        }
+    };
+
+    const handleCancelQuery = async (messageId) => {
+        const message = messages.find(m => m.id === messageId);
+        if (!message?.queryId) return;
+
+        setMessages(prev => prev.map(msg =>
+            msg.id === messageId ? { ...msg, cancelling: true } : msg
+        ));
+
+        try {
+            await cancelQuery(message.queryId);
+        } catch (error) {
+            // The query may have finished in the meantime; its own result wins
+            console.error('Failed to cancel query:', error);
+        } finally {
+            setMessages(prev => prev.map(msg =>
+                msg.id === messageId ? { ...msg, cancelling: false } : msg
+            ));
+        }
+    };
+
+    const handleLoadMore = async (messageId) => {
+        const message = messages.find(m => m.id === messageId);
+        const cursorId = message?.result?.cursorId;
+        if (!cursorId) return;
+
+        setMessages(prev => prev.map(msg =>
+            msg.id === messageId ? { ...msg, loadingMore: true, loadMoreError: null } : msg
+        ));
+
+        try {
+            const page = await fetchMoreRows(cursorId);
+
+            setMessages(prev => prev.map(msg => {
+                if (msg.id !== messageId) return msg;
+                const { result } = msg;
+                return {
+                    ...msg,
+                    loadingMore: false,
+                    result: {
+                        ...result,
+                        rows: [...result.rows, ...page.rows],
+                        // MongoDB pages can introduce fields the first page did not have
+                        columns: [...new Set([...result.columns, ...page.columns])],
+                        rowCount: page.rowCount,
+                        hasMore: page.hasMore,
+                        cursorId: page.cursorId
+                    }
+                };
+            }));
+        } catch (error) {
+            setMessages(prev => prev.map(msg =>
+                msg.id === messageId ? { ...msg, loadingMore: false, loadMoreError: error.message } : msg
+            ));
+        }
+    };
+
+    // Lets other panels (e.g. query history) put a query into the conversation
+    useImperativeHandle(ref, () => ({
+        insertQuery: (sql, { run = false } = {}) => {
+            const messageId = Date.now().toString();
+            const analysis = analyzeQuery(sql, selectedConnection?.dbType);
+
+            setMessages(prev => [...prev, {
+                id: messageId,
+                role: 'assistant',
+                content: run ? 'Running this query again from your history:' : 'Query from your history:',
+                sql,
+                queryAnalysis: analysis,
+                timestamp: new Date()
+            }]);
+
+            if (run) {
+                requestExecution(sql, messageId, analysis);
+            }
+        },
+
+        // Runs a query from the saved query library with the values from its parameter form
+        runSavedQuery: (savedQuery, params) => {
+            const messageId = Date.now().toString();
+            const analysis = analyzeQuery(savedQuery.query, selectedConnection?.dbType);
+            const runOptions = { savedQueryId: savedQuery.id, params };
+
+            setMessages(prev => [...prev, {
+                id: messageId,
+                role: 'assistant',
+                content: 'Running a query from your library:',
+                sql: savedQuery.query,
+                queryAnalysis: analysis,
+                savedQueryName: savedQuery.name,
+                ...runOptions,
+                timestamp: new Date()
+            }]);
+
+            requestExecution(savedQuery.query, messageId, analysis, runOptions);
+        },
+
+        // Puts a question into the input for the user to send or edit
+        askQuestion: (question) => {
+            setInput(question);
+            inputRef.current?.focus();
+        }
+    }));
+
+    const updateMessage = (messageId, changes) => {
+        setMessages(prev => prev.map(msg =>
+            msg.id === messageId ? { ...msg, ...changes } : msg
+        ));
+    };
+
     const handleRetryQuery = async (messageId) => {
         const message = messages.find(m => m.id === messageId);
         if (message?.sql) {
-            await handleExecuteQuery(message.sql, messageId);
+            await handleExecuteQuery(message.sql, messageId, getRunOptions(message));
+        }
+    };
+
+    const handleBeginTransaction = async () => {
+        setTransactionPending(true);
+        try {
+            setTransaction(await beginTransaction(selectedConnection.id));
+        } catch (error) {
+            setMessages(prev => [...prev, {
+                id: Date.now().toString(),
+                role: 'error',
+                content: `Failed to begin transaction: ${error.message}`,
+                timestamp: new Date()
+            }]);
+        } finally {
+            setTransactionPending(false);
+        }
+    };
+
+    const handleEndTransaction = async (commit) => {
+        setTransactionPending(true);
+        try {
+            const ended = await endTransaction(transaction.id, commit);
+            const queries = `${ended.statementCount} ${ended.statementCount === 1 ? 'query' : 'queries'}`;
+            setTransaction(null);
+            setMessages(prev => [...prev, {
+                id: Date.now().toString(),
+                role: 'system',
+                content: commit
+                    ? `Transaction committed: the changes from **${queries}** are saved.`
+                    : `Transaction rolled back: the changes from **${queries}** are discarded.`,
+                timestamp: new Date()
+            }]);
+        } catch (error) {
+            // Unless a query was still running, the transaction is over either way
+            if (error.code !== 'TRANSACTION_CONFLICT') setTransaction(null);
+            setMessages(prev => [...prev, {
+                id: Date.now().toString(),
+                role: 'error',
+                content: `Failed to ${commit ? 'commit' : 'roll back'} transaction: ${error.message}`,
+                timestamp: new Date()
+            }]);
+        } finally {
+            setTransactionPending(false);
         }
     };
 
     const handleExplain = async (sql) => {
         try {
             setLoading(true);
-            const explanation = await explainSQLQuery(sql, selectedConnection?.dbType);
+            const explanation = await explainSQLQuery(sql, selectedConnection?.dbType, selectedConnection?.llm);
             setMessages(prev => [...prev, {
                 id: Date.now().toString(),
                 role: 'assistant',
@@ -213,10 +522,21 @@ export default function ChatInterface() {
     return (
         <div className="chat-interface">
             {/* Confirmation Dialog */}
+            {saveDialog && (
+                <SaveQueryDialog
+                    savedQuery={{ query: saveDialog.sql }}
+                    connectionId={selectedConnection?.id}
+                    dbType={selectedConnection?.dbType}
+                    onClose={() => setSaveDialog(null)}
+                />
+            )}
+
             {confirmDialog && (
                 <ConfirmationDialog
                     query={confirmDialog.query}
                     analysis={confirmDialog.analysis}
+                    runOptions={confirmDialog.runOptions}
+                    inTransaction={Boolean(transaction)}
                     onConfirm={confirmDialog.onConfirm}
                     onCancel={confirmDialog.onCancel}
                 />
@@ -227,9 +547,23 @@ export default function ChatInterface() {
                     <MessageItem
                         key={msg.id}
                         message={msg}
-                        onExecute={(sql) => handleExecuteQuery(sql, msg.id)}
+                        selected={msg === selectedMessage}
+                        onSelect={() => setSelectedMessageId(msg.id)}
+                        onExecute={(sql) => requestExecution(sql, msg.id, analyzeQuery(sql, selectedConnection?.dbType), getRunOptions(msg))}
+                        onSave={(sql) => setSaveDialog({ sql })}
                         onExplain={handleExplain}
                         onRetry={() => handleRetryQuery(msg.id)}
+                        onFix={isFixable(msg.executionErrorCode, getRunOptions(msg)) ? () => handleFixQuery({
+                            messageId: msg.id,
+                            sql: msg.sql,
+                            error: msg.executionError,
+                            errorCode: msg.executionErrorCode,
+                            databaseError: msg.executionDatabaseError
+                        }) : null}
+                        onLoadMore={() => handleLoadMore(msg.id)}
+                        onCancel={() => handleCancelQuery(msg.id)}
+                        onResultViewChange={(resultView) => updateMessage(msg.id, { resultView })}
+                        onChartChange={(chart) => updateMessage(msg.id, { chart })}
                     />
                 ))}
                 {loading && (
@@ -246,8 +580,36 @@ export default function ChatInterface() {
             </div>
 
             <div className="chat-input-area">
+                {transaction && (
+                    <div className="transaction-banner">
+                        <Lock className="icon-sm" />
+                        <span className="transaction-text">
+                            <strong>Transaction open</strong> with {transaction.statementCount}{' '}
+                            {transaction.statementCount === 1 ? 'query' : 'queries'}. Queries run inside it, and their
+                            changes are only saved on commit. If no query runs by{' '}
+                            {new Date(transaction.expiresAt).toLocaleTimeString()}, it is rolled back.
+                        </span>
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-outline"
+                            onClick={() => handleEndTransaction(false)}
+                            disabled={transactionPending}
+                        >
+                            <Undo2 className="icon-xs" /> Rollback
+                        </button>
+                        <button
+                            type="button"
+                            className="btn btn-sm btn-primary"
+                            onClick={() => handleEndTransaction(true)}
+                            disabled={transactionPending}
+                        >
+                            <Check className="icon-xs" /> Commit
+                        </button>
+                    </div>
+                )}
                 <form onSubmit={handleSubmit} className="chat-input-form">
                     <input
+                        ref={inputRef}
                         type="text"
                         className="chat-input"
                         placeholder="Ask a question about your database..."
@@ -290,38 +652,242 @@ export default function ChatInterface() {
                         </>
                     )}
                 </div>
+                <div className="auto-repair">
+                    <label title="When a query fails, ask the AI for a fix and run it if it only reads data">
+                        <input
+                            type="checkbox"
+                            checked={autoRepair.enabled}
+                            onChange={(e) => setAutoRepair({ ...autoRepair, enabled: e.target.checked })}
+                        />
+                        Auto-fix failed queries
+                    </label>
+                    {autoRepair.enabled && (
+                        <label>
+                            up to
+                            <select
+                                value={autoRepair.maxAttempts}
+                                onChange={(e) => setAutoRepair({ ...autoRepair, maxAttempts: Number(e.target.value) })}
+                            >
+                                {Array.from({ length: MAX_AUTO_REPAIR_ATTEMPTS }, (_, i) => i + 1).map(count => (
+                                    <option key={count} value={count}>{count}</option>
+                                ))}
+                            </select>
+                            {autoRepair.maxAttempts === 1 ? 'attempt' : 'attempts'}
+                        </label>
+                    )}
+                    {/* MongoDB queries run one by one; a read-only connection has nothing to commit */}
+                    {!transaction && selectedConnection && selectedConnection.dbType !== 'mongodb' && !selectedConnection.readOnly && (
+                        <button
+                            type="button"
+                            className="begin-transaction"
+                            onClick={handleBeginTransaction}
+                            disabled={transactionPending}
+                            title="Run the next queries in one transaction, to commit or roll back together"
+                        >
+                            <Lock className="icon-xs" /> Begin transaction
+                        </button>
+                    )}
+                </div>
             </div>
+
+            <style>{`
+                .auto-repair {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-md);
+                    margin-top: var(--space-sm);
+                    font-size: 0.75rem;
+                    color: var(--color-text-tertiary);
+                }
+
+                .auto-repair label {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-xs);
+                    cursor: pointer;
+                }
+
+                .auto-repair .begin-transaction {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-xs);
+                    margin-left: auto;
+                    padding: 0;
+                    border: none;
+                    background: none;
+                    font: inherit;
+                    color: inherit;
+                    cursor: pointer;
+                }
+
+                .auto-repair .begin-transaction:hover:not(:disabled) {
+                    color: var(--color-primary);
+                }
+
+                .transaction-banner {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-sm);
+                    margin-bottom: var(--space-sm);
+                    padding: var(--space-sm) var(--space-md);
+                    border: 1px solid var(--color-warning);
+                    border-radius: var(--radius-md);
+                    background: hsla(38, 92%, 50%, 0.1);
+                    font-size: 0.8125rem;
+                    color: var(--color-text-secondary);
+                }
+
+                .transaction-banner > .icon-sm {
+                    flex-shrink: 0;
+                    color: var(--color-warning);
+                }
+
+                .transaction-banner .transaction-text {
+                    flex: 1;
+                }
+
+                .message.selected > .message-avatar {
+                    box-shadow: 0 0 0 2px var(--color-primary);
+                }
+
+                .auto-repair select {
+                    padding: 0 var(--space-xs);
+                    font-size: 0.75rem;
+                    color: var(--color-text-secondary);
+                    background: var(--color-surface);
+                    border: 1px solid var(--color-border);
+                    border-radius: var(--radius-sm);
+                }
+            `}</style>
         </div>
     );
 }
 
-function ConfirmationDialog({ query, analysis, onConfirm, onCancel }) {
+/**
+ * Whether a query is an UPDATE or DELETE the server can dry-run first. Saved
+ * query runs are not previewed, since their text holds placeholders.
+ */
+function isPreviewable(analysis, runOptions = {}) {
+    return !runOptions.savedQueryId && Boolean(analysis.statements?.some(s => s.type === 'update' || s.type === 'delete'));
+}
+
+/**
+ * Asks before a dangerous query or an UPDATE or DELETE runs. The latter are
+ * dry-run on the server first, so the dialog says how many rows they change
+ * and shows a few.
+ */
+function ConfirmationDialog({ query, analysis, runOptions = {}, inTransaction = false, onConfirm, onCancel }) {
+    const { selectedConnection } = useDatabase();
+    const previewable = isPreviewable(analysis, runOptions);
+    const [preview, setPreview] = useState(null);
+    const [previewError, setPreviewError] = useState('');
+
+    useEffect(() => {
+        if (!previewable) return undefined;
+        let cancelled = false;
+        previewWrite(selectedConnection.id, query)
+            .then(result => !cancelled && setPreview(result))
+            .catch(err => !cancelled && setPreviewError(err.message));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [previewable, selectedConnection, query]);
+
+    const rowWord = selectedConnection?.dbType === 'mongodb' ? 'document' : 'row';
+
     return (
         <div className="confirmation-overlay">
             <div className="confirmation-dialog">
                 <div className="confirmation-header">
                     <AlertTriangle className="icon-warning" />
-                    <h3>Confirm Dangerous Operation</h3>
+                    <h3>{analysis.requiresConfirmation ? 'Confirm Dangerous Operation' : 'Confirm Changes'}</h3>
                 </div>
                 <div className="confirmation-body">
                     <p>This query will perform a <strong>{analysis.type.toUpperCase()}</strong> operation that could:</p>
                     <ul>
-                        {analysis.keywords?.isDangerous && analysis.type === 'ddl' && (
-                            <li>Permanently delete tables or data structures</li>
+                        {analysis.statements?.some(s => s.type === 'drop') && (
+                            <li>Permanently drop database objects</li>
+                        )}
+                        {analysis.statements?.some(s => s.type === 'truncate') && (
+                            <li>Remove ALL records from a table</li>
                         )}
-                        {query.toUpperCase().includes('DELETE') && (
+                        {analysis.statements?.some(s => s.type === 'delete') && (
                             <li>Remove records from your database</li>
                         )}
-                        {query.toUpperCase().includes('TRUNCATE') && (
-                            <li>Remove ALL records from a table</li>
+                        {analysis.statements?.some(s => s.type === 'update') && (
+                            <li>Modify records in your database</li>
                         )}
-                        {query.toUpperCase().includes('DROP') && (
-                            <li>Permanently drop database objects</li>
+                        {analysis.missingWhere && (
+                            <li>Change every row, because a write has no WHERE clause</li>
+                        )}
+                        {analysis.isMultiStatement && (
+                            <li>Run {analysis.statements.length} statements in one go</li>
                         )}
                     </ul>
+                    {analysis.statements?.length > 0 && (
+                        <ul className="confirmation-statements">
+                            {analysis.statements.map((statement, index) => (
+                                <li key={index} className={statement.category}>
+                                    <strong>{statement.type.toUpperCase()}</strong>
+                                    {statement.tables.length > 0 && ` on ${statement.tables.join(', ')}`}
+                                    {statement.missingWhere && <span className="missing-where">no WHERE</span>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
                     <div className="confirmation-query">
                         <code>{query}</code>
                     </div>
+                    {previewable && (
+                        <div className="confirmation-preview">
+                            {previewError ? (
+                                <p className="preview-note">Could not preview the change: {previewError}</p>
+                            ) : !preview ? (
+                                <p className="preview-note"><Loader2 className="icon-xs spin" /> Counting the {rowWord}s this will change...</p>
+                            ) : !preview.supported ? (
+                                <p className="preview-note">No preview: {preview.reason}</p>
+                            ) : (
+                                <>
+                                    <p>
+                                        This will {preview.operation === 'delete' ? 'delete' : 'modify'}{' '}
+                                        <strong>{preview.affectedRows.toLocaleString()}</strong>{' '}
+                                        {preview.affectedRows === 1 ? rowWord : `${rowWord}s`} in <code>{preview.table}</code>
+                                    </p>
+                                    {inTransaction && (
+                                        <p className="preview-note">
+                                            Counted on the committed data, without the changes made so far in the open transaction.
+                                        </p>
+                                    )}
+                                    {preview.sample.rows.length > 0 && (
+                                        <div className="table-container confirmation-sample">
+                                            <table className="data-table">
+                                                <thead>
+                                                    <tr>
+                                                        {preview.sample.columns.map(col => (
+                                                            <th key={col}>{col}</th>
+                                                        ))}
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {preview.sample.rows.map((row, i) => (
+                                                        <tr key={i}>
+                                                            {preview.sample.columns.map(col => (
+                                                                <td key={`${i}-${col}`}>{formatCellValue(row[col])}</td>
+                                                            ))}
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        </div>
+                                    )}
+                                    {preview.affectedRows > preview.sample.rows.length && preview.sample.rows.length > 0 && (
+                                        <p className="preview-note">Showing {preview.sample.rows.length} of them</p>
+                                    )}
+                                </>
+                            )}
+                        </div>
+                    )}
                     <p className="confirmation-warning">This action cannot be undone!</p>
                 </div>
                 <div className="confirmation-actions">
@@ -396,6 +962,31 @@ function ConfirmationDialog({ query, analysis, onConfirm, onCancel }) {
                 .confirmation-body li {
                     margin-bottom: var(--space-xs);
                 }
+
+                .confirmation-body .confirmation-statements {
+                    list-style: none;
+                    padding-left: 0;
+                    font-size: 0.875rem;
+                }
+
+                .confirmation-statements li {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-sm);
+                }
+
+                .confirmation-statements li.write strong,
+                .confirmation-statements li.ddl strong {
+                    color: var(--color-error);
+                }
+
+                .missing-where {
+                    padding: 0 var(--space-xs);
+                    border-radius: var(--radius-sm);
+                    background: rgba(239, 68, 68, 0.15);
+                    color: var(--color-error);
+                    font-size: 0.75rem;
+                }
                 
                 .confirmation-query {
                     background: var(--color-bg-tertiary);
@@ -413,6 +1004,28 @@ function ConfirmationDialog({ query, analysis, onConfirm, onCancel }) {
                     word-break: break-all;
                 }
                 
+                .confirmation-preview {
+                    margin-bottom: var(--space-md);
+                }
+
+                .confirmation-preview code {
+                    font-family: var(--font-mono);
+                }
+
+                .confirmation-body .preview-note {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-xs);
+                    font-size: 0.875rem;
+                    color: var(--color-text-tertiary);
+                }
+
+                .confirmation-sample {
+                    max-height: 200px;
+                    margin-bottom: var(--space-sm);
+                    overflow: auto;
+                }
+
                 .confirmation-warning {
                     color: var(--color-error) !important;
                     font-weight: 600;
@@ -438,7 +1051,7 @@ function ConfirmationDialog({ query, analysis, onConfirm, onCancel }) {
     );
 }
 
-function MessageItem({ message, onExecute, onExplain, onRetry }) {
+function MessageItem({ message, selected, onSelect, onExecute, onExplain, onSave, onRetry, onFix, onLoadMore, onCancel, onResultViewChange, onChartChange }) {
     const [expanded, setExpanded] = useState(true);
     const [copied, setCopied] = useState(false);
     const { selectedConnection } = useDatabase();
@@ -477,9 +1090,14 @@ function MessageItem({ message, onExecute, onExplain, onRetry }) {
     }
 
     const isUser = message.role === 'user';
+    const chartSettings = getChartSettings(message);
+    const resultView = chartSettings ? (message.resultView || (message.chartSuggestion ? 'chart' : 'table')) : 'table';
 
     return (
-        <div className={`message ${isUser ? 'user' : 'assistant'}`}>
+        <div
+            className={`message ${isUser ? 'user' : 'assistant'} ${selected ? 'selected' : ''}`}
+            onClick={message.sql ? onSelect : undefined}
+        >
             <div className="message-avatar">
                 {isUser ? (
                     <div className="user-avatar-sm">U</div>
@@ -507,6 +1125,11 @@ function MessageItem({ message, onExecute, onExplain, onRetry }) {
                                         {message.queryAnalysis.type.toUpperCase()}
                                     </span>
                                 )}
+                                {message.savedQueryName && (
+                                    <span className="saved-query-name">
+                                        <Bookmark className="icon-xs" /> {message.savedQueryName}
+                                    </span>
+                                )}
                             </span>
                             <div className="sql-actions">
                                 <button
@@ -516,6 +1139,15 @@ function MessageItem({ message, onExecute, onExplain, onRetry }) {
                                 >
                                     {copied ? <Check className="icon-xs" /> : <Copy className="icon-xs" />}
                                 </button>
+                                {!message.savedQueryId && (
+                                    <button
+                                        className="btn-icon-sm"
+                                        onClick={() => onSave(message.sql)}
+                                        title="Save to library"
+                                    >
+                                        <Bookmark className="icon-xs" />
+                                    </button>
+                                )}
                                 <button
                                     className="btn-icon-sm"
                                     onClick={() => setExpanded(!expanded)}
@@ -531,6 +1163,31 @@ function MessageItem({ message, onExecute, onExplain, onRetry }) {
                             </div>
                         )}
 
+                        {message.fixedFrom && (
+                            <div className="sql-diff">
+                                {message.fixExplanation && (
+                                    <div className="sql-diff-explanation">{message.fixExplanation}</div>
+                                )}
+                                <code>
+                                    {diffQueries(message.fixedFrom, message.sql).map((part, index) => (
+                                        part.type === 'added' ? <ins key={index}>{part.text}</ins>
+                                            : part.type === 'removed' ? <del key={index}>{part.text}</del>
+                                                : <span key={index}>{part.text}</span>
+                                    ))}
+                                </code>
+                            </div>
+                        )}
+
+                        {message.params && Object.keys(message.params).length > 0 && (
+                            <div className="sql-params">
+                                {Object.entries(message.params).map(([name, value]) => (
+                                    <span key={name} className="sql-param">
+                                        {name} = {value === '' ? 'default' : String(value)}
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+
                         <div className="sql-footer">
                             <button
                                 className="btn btn-sm btn-outline"
@@ -553,6 +1210,13 @@ function MessageItem({ message, onExecute, onExplain, onRetry }) {
                 {message.executionStatus === 'running' && (
                     <div className="execution-status running">
                         <Loader2 className="icon-sm spin" /> Executing query...
+                        <button
+                            className="btn btn-sm btn-outline cancel-query-btn"
+                            onClick={onCancel}
+                            disabled={message.cancelling}
+                        >
+                            <X className="icon-xs" /> {message.cancelling ? 'Cancelling...' : 'Cancel'}
+                        </button>
                     </div>
                 )}
 
@@ -567,12 +1231,25 @@ function MessageItem({ message, onExecute, onExplain, onRetry }) {
                         <AlertCircle className="icon-sm" />
                         <div className="execution-error-content">
                             <span>Error: {message.executionError}</span>
-                            <button
-                                className="btn btn-sm btn-outline retry-btn"
-                                onClick={onRetry}
-                            >
-                                <RefreshCw className="icon-xs" /> Retry
-                            </button>
+                            <div className="execution-error-actions">
+                                {onFix && (
+                                    <button
+                                        className="btn btn-sm btn-outline retry-btn"
+                                        onClick={onFix}
+                                        disabled={message.fixing}
+                                    >
+                                        {message.fixing
+                                            ? <><Loader2 className="icon-xs spin" /> Fixing...</>
+                                            : <><WandSparkles className="icon-xs" /> Fix with AI</>}
+                                    </button>
+                                )}
+                                <button
+                                    className="btn btn-sm btn-outline retry-btn"
+                                    onClick={onRetry}
+                                >
+                                    <RefreshCw className="icon-xs" /> Retry
+                                </button>
+                            </div>
                         </div>
                     </div>
                 )}
@@ -581,11 +1258,36 @@ function MessageItem({ message, onExecute, onExplain, onRetry }) {
                     <div className="execution-result">
                         <div className="result-header">
                             <span className="result-count">
-                                {message.result.rowCount} {message.result.rowCount === 1 ? 'result' : 'results'} found
+                                {message.result.rowCount}{message.result.hasMore && '+'} {message.result.rowCount === 1 ? 'result' : 'results'} found
                                 <span className="result-time">({Math.round(message.result.executionTime)}ms)</span>
                             </span>
+                            <div className="result-actions">
+                                {chartSettings && (
+                                    <div className="view-toggle">
+                                        <button
+                                            className={resultView === 'table' ? 'active' : ''}
+                                            onClick={() => onResultViewChange('table')}
+                                            title="Show as table"
+                                        >
+                                            <Table className="icon-xs" /> Table
+                                        </button>
+                                        <button
+                                            className={resultView === 'chart' ? 'active' : ''}
+                                            onClick={() => onResultViewChange('chart')}
+                                            title="Show as chart"
+                                        >
+                                            <BarChart3 className="icon-xs" /> Chart
+                                        </button>
+                                    </div>
+                                )}
+                                {isExportable(message.sql, message.queryAnalysis, selectedConnection?.dbType) && (
+                                    <ExportMenu sql={message.sql} runOptions={getRunOptions(message)} />
+                                )}
+                            </div>
                         </div>
-                        {message.result.rows && message.result.rows.length > 0 ? (
+                        {resultView === 'chart' ? (
+                            <ResultChart result={plainResult(message.result)} settings={chartSettings} onChange={onChartChange} />
+                        ) : message.result.rows && message.result.rows.length > 0 ? (
                             <div className="table-container">
                                 <table className="data-table">
                                     <thead>
@@ -607,6 +1309,26 @@ function MessageItem({ message, onExecute, onExplain, onRetry }) {
                                         ))}
                                     </tbody>
                                 </table>
+                                {message.result.hasMore && (
+                                    <div className="load-more">
+                                        {message.result.cursorId ? (
+                                            <button
+                                                className="btn btn-sm btn-outline"
+                                                onClick={onLoadMore}
+                                                disabled={message.loadingMore}
+                                            >
+                                                {message.loadingMore
+                                                    ? <><Loader2 className="icon-xs spin" /> Loading...</>
+                                                    : <><ChevronDown className="icon-xs" /> Load more</>}
+                                            </button>
+                                        ) : (
+                                            <span>Showing the first {message.result.rows.length} rows</span>
+                                        )}
+                                        {message.loadMoreError && (
+                                            <span className="load-more-error">{message.loadMoreError}</span>
+                                        )}
+                                    </div>
+                                )}
                             </div>
                         ) : (
                             <div className="empty-result">
@@ -642,6 +1364,52 @@ function MessageItem({ message, onExecute, onExplain, onRetry }) {
                     color: #ef4444;
                 }
                 
+                .saved-query-name {
+                    display: inline-flex;
+                    align-items: center;
+                    gap: 2px;
+                    margin-left: var(--space-sm);
+                    font-weight: 500;
+                    color: var(--color-primary);
+                }
+
+                .sql-params {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: var(--space-xs);
+                    padding: var(--space-xs) var(--space-md);
+                }
+
+                .sql-param {
+                    padding: 2px 6px;
+                    border-radius: var(--radius-sm);
+                    background: var(--color-bg-tertiary);
+                    font-family: var(--font-mono);
+                    font-size: 0.6875rem;
+                    color: var(--color-text-secondary);
+                }
+
+                .cancel-query-btn {
+                    margin-left: auto;
+                }
+
+                .load-more {
+                    position: sticky;
+                    left: 0;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    gap: var(--space-md);
+                    padding: var(--space-sm);
+                    font-size: 0.75rem;
+                    color: var(--color-text-tertiary);
+                    border-top: 1px solid var(--color-border);
+                }
+
+                .load-more-error {
+                    color: var(--color-error);
+                }
+
                 .error-hint {
                     font-size: 0.75rem;
                     color: var(--color-text-tertiary);
@@ -670,6 +1438,41 @@ function MessageItem({ message, onExecute, onExplain, onRetry }) {
                 .retry-btn {
                     flex-shrink: 0;
                 }
+
+                .execution-error-actions {
+                    display: flex;
+                    gap: var(--space-sm);
+                    flex-shrink: 0;
+                }
+
+                .sql-diff {
+                    padding: var(--space-sm) var(--space-md);
+                    border-top: 1px solid var(--color-border);
+                    font-size: 0.8125rem;
+                }
+
+                .sql-diff-explanation {
+                    margin-bottom: var(--space-xs);
+                    color: var(--color-text-secondary);
+                }
+
+                .sql-diff code {
+                    font-family: var(--font-mono);
+                    white-space: pre-wrap;
+                    word-break: break-word;
+                    color: var(--color-text-tertiary);
+                }
+
+                .sql-diff ins {
+                    text-decoration: none;
+                    background: rgba(34, 197, 94, 0.2);
+                    color: #22c55e;
+                }
+
+                .sql-diff del {
+                    background: rgba(239, 68, 68, 0.2);
+                    color: #ef4444;
+                }
                 
                 .empty-result {
                     padding: var(--space-md);
@@ -677,20 +1480,226 @@ function MessageItem({ message, onExecute, onExplain, onRetry }) {
                     color: var(--color-text-tertiary);
                     font-size: 0.875rem;
                 }
+
+                .result-header {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    gap: var(--space-md);
+                }
+
+                .result-actions {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-sm);
+                    min-width: 0;
+                }
+
+                .view-toggle {
+                    display: flex;
+                    border: 1px solid var(--color-border);
+                    border-radius: var(--radius-sm);
+                    overflow: hidden;
+                }
+
+                .view-toggle button {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-xs);
+                    padding: 2px var(--space-sm);
+                    font-size: 0.75rem;
+                    color: var(--color-text-secondary);
+                    background: var(--color-surface);
+                    border: none;
+                    cursor: pointer;
+                }
+
+                .view-toggle button.active {
+                    background: var(--color-primary-alpha);
+                    color: var(--color-primary);
+                }
+            `}</style>
+        </div>
+    );
+}
+
+/**
+ * Chart settings for a message's result: the ones the user picked if they still
+ * fit the columns, otherwise a suggestion. Null when the result cannot be charted.
+ */
+function getChartSettings(message) {
+    const result = plainResult(message.result);
+    if (message.executionStatus !== 'success' || !result?.rows?.length || !result.columns?.length) return null;
+
+    if (message.chart) {
+        const saved = completeSettings(message.chart, result.columns, inferColumnTypes(result.columns, result.rows));
+        if (saved) return saved;
+    }
+    return suggestChart(result.columns, result.rows, message.chartSuggestion);
+}
+
+/**
+ * How to run a message's query again: saved query runs carry their ID and parameter values
+ */
+function getRunOptions(message) {
+    return message.savedQueryId ? { savedQueryId: message.savedQueryId, params: message.params } : {};
+}
+
+/**
+ * Whether the AI may be asked to fix a failed query. Saved query runs are left
+ * alone, since their text holds placeholders that only the library can bind.
+ */
+function isFixable(errorCode, runOptions) {
+    return !UNFIXABLE_ERRORS.includes(errorCode) && !runOptions.savedQueryId;
+}
+
+const EXPORT_FORMATS = [
+    { format: 'csv', label: 'CSV' },
+    { format: 'tsv', label: 'TSV' },
+    { format: 'json', label: 'JSON' },
+    { format: 'ndjson', label: 'NDJSON' },
+    { format: 'xlsx', label: 'Excel' },
+    { format: 'parquet', label: 'Parquet' }
+];
+
+/**
+ * Only reads can be exported: single SQL read statements and MongoDB find/aggregate
+ */
+function isExportable(sql, analysis, dbType) {
+    if (!sql) return false;
+    if (dbType === 'mongodb') {
+        try {
+            const operation = JSON.parse(sql).operation || 'find';
+            return operation === 'find' || operation === 'aggregate';
+        } catch {
+            return false;
+        }
+    }
+    return analysis?.type === 'read' && analysis.statements?.length === 1;
+}
+
+/**
+ * Export menu for a result. The export re-runs the query on the server
+ * and includes every row, not just the ones shown. Until the browser's
+ * download starts, the query can be cancelled from here.
+ */
+function ExportMenu({ sql, runOptions }) {
+    const { selectedConnection } = useDatabase();
+    const [open, setOpen] = useState(false);
+    // ID of the export query while it runs, for cancelling it
+    const [exportingId, setExportingId] = useState(null);
+    const [error, setError] = useState('');
+
+    const handleExport = async (format) => {
+        const queryId = crypto.randomUUID();
+        setOpen(false);
+        setExportingId(queryId);
+        setError('');
+        try {
+            await exportQueryResult(selectedConnection.id, sql, format, { queryId, ...runOptions });
+        } catch (err) {
+            if (err.code !== 'CANCELLED') setError(err.message);
+        } finally {
+            setExportingId(null);
+        }
+    };
+
+    const handleCancel = async () => {
+        try {
+            await cancelQuery(exportingId);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="export-menu">
+            {error && <span className="export-error" title={error}>{error}</span>}
+            {open && (
+                <div className="export-options">
+                    {EXPORT_FORMATS.map(({ format, label }) => (
+                        <button key={format} className="export-option" onClick={() => handleExport(format)}>
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            )}
+            {exportingId ? (
+                <>
+                    <span className="export-status"><Loader2 className="icon-xs spin" /> Exporting...</span>
+                    <button className="btn btn-sm btn-outline" onClick={handleCancel} title="Stop the export before its download starts">
+                        <X className="icon-xs" /> Cancel
+                    </button>
+                </>
+            ) : (
+                <button
+                    className="btn btn-sm btn-outline"
+                    onClick={() => setOpen(!open)}
+                    title="Download every row of this result"
+                >
+                    <Download className="icon-xs" /> Export
+                </button>
+            )}
+
+            <style>{`
+                .export-menu {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-sm);
+                    min-width: 0;
+                }
+
+                .export-status {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-xs);
+                    font-size: 0.75rem;
+                    color: var(--color-text-secondary);
+                }
+
+                .export-error {
+                    max-width: 16rem;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                    font-size: 0.75rem;
+                    color: var(--color-error);
+                }
+
+                .export-options {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: var(--space-xs);
+                }
+
+                .export-option {
+                    padding: 2px var(--space-sm);
+                    font-size: 0.75rem;
+                    color: var(--color-text-secondary);
+                    background: var(--color-surface);
+                    border: 1px solid var(--color-border);
+                    border-radius: var(--radius-sm);
+                    cursor: pointer;
+                }
+
+                .export-option:hover {
+                    color: var(--color-primary);
+                    border-color: var(--color-primary);
+                }
             `}</style>
         </div>
     );
 }
 
 /**
- * Format cell value for display
+ * Format cell value for display. MongoDB values are Extended JSON, shown with their BSON type.
  */
 function formatCellValue(value) {
     if (value === null || value === undefined) {
         return <span className="null-value">NULL</span>;
     }
     if (typeof value === 'object') {
-        return JSON.stringify(value);
+        return formatExtendedJson(value);
     }
     if (typeof value === 'boolean') {
         return value ? 'true' : 'false';
@@ -0,0 +1,199 @@
+import { useState } from 'react';
+import { useChatSessions } from '../contexts/useChatSessions';
+import { MessageSquare, Plus, Pencil, Trash2, Check, X, AlertCircle } from 'lucide-react';
+
+/**
+ * Saved chats for the selected connection
+ */
+export default function ChatSessionList() {
+    const {
+        chatSessions,
+        chatsError,
+        activeChat,
+        openChat,
+        startNewChat,
+        renameChat,
+        deleteChat
+    } = useChatSessions();
+
+    const [editingId, setEditingId] = useState(null);
+    const [editName, setEditName] = useState('');
+    const [error, setError] = useState('');
+
+    const run = async (action) => {
+        setError('');
+        try {
+            await action();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const startRename = (chat, e) => {
+        e.stopPropagation();
+        setEditingId(chat.id);
+        setEditName(chat.name);
+    };
+
+    const handleRename = (e) => {
+        e.preventDefault();
+        if (!editName.trim()) return;
+        run(async () => {
+            await renameChat(editingId, editName.trim());
+            setEditingId(null);
+        });
+    };
+
+    const handleDelete = (id, e) => {
+        e.stopPropagation();
+        if (confirm('Delete this chat?')) {
+            run(() => deleteChat(id));
+        }
+    };
+
+    return (
+        <div className="chat-sessions">
+            <div className="chat-sessions-header">
+                <span className="chat-sessions-title">Chats</span>
+                <button
+                    className="btn btn-ghost btn-icon-sm"
+                    onClick={startNewChat}
+                    title="New chat"
+                >
+                    <Plus className="icon-sm" />
+                </button>
+            </div>
+
+            {(error || chatsError) && (
+                <div className="error-message">
+                    <AlertCircle className="icon" />
+                    {error || chatsError}
+                </div>
+            )}
+
+            {chatSessions.length === 0 ? (
+                <p className="empty-subtext">Your conversations on this connection are saved here</p>
+            ) : (
+                chatSessions.map(chat => (
+                    <div
+                        key={chat.id}
+                        className={`chat-session-item ${activeChat?.id === chat.id ? 'active' : ''}`}
+                        onClick={() => editingId !== chat.id && run(() => openChat(chat.id))}
+                        title={`${chat.messageCount} messages · ${new Date(chat.updatedAt).toLocaleString()}`}
+                    >
+                        <MessageSquare className="icon-sm" />
+                        {editingId === chat.id ? (
+                            <form className="chat-rename-form" onSubmit={handleRename} onClick={e => e.stopPropagation()}>
+                                <input
+                                    className="input"
+                                    value={editName}
+                                    onChange={e => setEditName(e.target.value)}
+                                    autoFocus
+                                />
+                                <button type="submit" className="btn btn-ghost btn-icon-sm" title="Save name">
+                                    <Check className="icon-sm" />
+                                </button>
+                                <button type="button" className="btn btn-ghost btn-icon-sm" onClick={() => setEditingId(null)} title="Cancel">
+                                    <X className="icon-sm" />
+                                </button>
+                            </form>
+                        ) : (
+                            <>
+                                <span className="chat-session-name">{chat.name}</span>
+                                <div className="chat-session-actions">
+                                    <button className="btn btn-ghost btn-icon-sm" onClick={(e) => startRename(chat, e)} title="Rename chat">
+                                        <Pencil className="icon-xs" />
+                                    </button>
+                                    <button className="btn btn-ghost btn-icon-sm delete-btn" onClick={(e) => handleDelete(chat.id, e)} title="Delete chat">
+                                        <Trash2 className="icon-xs" />
+                                    </button>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                ))
+            )}
+
+            <style>{`
+                .chat-sessions {
+                    margin-top: var(--space-lg);
+                    padding-top: var(--space-md);
+                    border-top: 1px solid var(--color-border);
+                    max-height: 40%;
+                    overflow-y: auto;
+                    display: flex;
+                    flex-direction: column;
+                    gap: var(--space-xs);
+                }
+
+                .chat-sessions-header {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                }
+
+                .chat-sessions-title {
+                    font-size: 0.75rem;
+                    font-weight: 600;
+                    text-transform: uppercase;
+                    letter-spacing: 0.05em;
+                    color: var(--color-text-tertiary);
+                }
+
+                .chat-session-item {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-sm);
+                    padding: var(--space-sm);
+                    border-radius: var(--radius-md);
+                    font-size: 0.875rem;
+                    color: var(--color-text-secondary);
+                    cursor: pointer;
+                }
+
+                .chat-session-item:hover {
+                    background: var(--color-surface-hover);
+                }
+
+                .chat-session-item.active {
+                    background: var(--color-primary-alpha);
+                    color: var(--color-text-primary);
+                }
+
+                .chat-session-name {
+                    flex: 1;
+                    min-width: 0;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+
+                .chat-session-actions {
+                    display: flex;
+                    opacity: 0;
+                    transition: opacity var(--transition-base);
+                }
+
+                .chat-session-item:hover .chat-session-actions {
+                    opacity: 1;
+                }
+
+                .chat-session-item .delete-btn {
+                    opacity: 1;
+                }
+
+                .chat-rename-form {
+                    flex: 1;
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-xs);
+                }
+
+                .chat-rename-form .input {
+                    padding: var(--space-xs) var(--space-sm);
+                    font-size: 0.875rem;
+                }
+            `}</style>
+        </div>
+    );
+}
@@ -0,0 +1,385 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { listQueryHistory } from '../services/queryHistoryService';
+import { History, X, Search, Copy, Check, Play, MessageSquarePlus, Trash2, AlertCircle, Loader2 } from 'lucide-react';
+
+const PAGE_SIZE = 50;
+
+const STATUS_LABELS = {
+    success: 'Success',
+    error: 'Error',
+    cancelled: 'Cancelled'
+};
+
+// Date inputs give local calendar days; the range covers both days completely
+const startOfDay = (date) => date ? new Date(`${date}T00:00:00`).toISOString() : undefined;
+const endOfDay = (date) => date ? new Date(`${date}T23:59:59.999`).toISOString() : undefined;
+
+/**
+ * Searchable list of every query the user has run
+ * @param {function} onClose - Close the panel
+ * @param {function} onInsertQuery - (sql, { run }) puts a query into the open chat
+ */
+export default function QueryHistoryPanel({ onClose, onInsertQuery }) {
+    const { connections, selectedConnection, historyRevision, clearQueryHistory } = useDatabase();
+
+    const [connectionId, setConnectionId] = useState(selectedConnection?.id || '');
+    const [status, setStatus] = useState('');
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [searchInput, setSearchInput] = useState('');
+    const [search, setSearch] = useState('');
+
+    const [entries, setEntries] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [copiedId, setCopiedId] = useState(null);
+
+    // Search as the user types, without a request per keystroke
+    useEffect(() => {
+        const timer = setTimeout(() => setSearch(searchInput.trim()), 300);
+        return () => clearTimeout(timer);
+    }, [searchInput]);
+
+    const load = useCallback(async (offset, { cancelled = () => false } = {}) => {
+        setLoading(true);
+        try {
+            const page = await listQueryHistory({
+                connectionId,
+                status,
+                from: startOfDay(from),
+                to: endOfDay(to),
+                search,
+                limit: PAGE_SIZE,
+                offset
+            });
+            if (cancelled()) return;
+            setEntries(prev => offset === 0 ? page.entries : [...prev, ...page.entries]);
+            setTotal(page.total);
+            setError('');
+        } catch (err) {
+            if (!cancelled()) setError(err.message);
+        } finally {
+            if (!cancelled()) setLoading(false);
+        }
+    }, [connectionId, status, from, to, search]);
+
+    useEffect(() => {
+        let cancelled = false;
+        load(0, { cancelled: () => cancelled });
+        return () => {
+            cancelled = true;
+        };
+    }, [load, historyRevision]);
+
+    const connectionName = (id) =>
+        connections.find(conn => conn.id === id)?.name || 'Deleted connection';
+
+    const copyQuery = (entry) => {
+        navigator.clipboard.writeText(entry.query);
+        setCopiedId(entry.id);
+        setTimeout(() => setCopiedId(null), 2000);
+    };
+
+    const handleClear = async () => {
+        const scope = connectionId ? `for ${connectionName(connectionId)}` : 'for all connections';
+        if (!confirm(`Delete the query history ${scope}?`)) return;
+
+        try {
+            await clearQueryHistory(connectionId || undefined);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="history-panel">
+            <div className="history-header">
+                <h2 className="history-title">
+                    <History className="icon" /> Query History
+                </h2>
+                <button className="btn btn-ghost btn-icon" onClick={onClose} title="Close history">
+                    <X className="icon" />
+                </button>
+            </div>
+
+            <div className="history-filters">
+                <div className="history-search">
+                    <Search className="icon-sm" />
+                    <input
+                        className="input"
+                        type="search"
+                        placeholder="Search query text..."
+                        value={searchInput}
+                        onChange={e => setSearchInput(e.target.value)}
+                    />
+                </div>
+                <div className="history-filter-row">
+                    <select className="input" value={connectionId} onChange={e => setConnectionId(e.target.value)}>
+                        <option value="">All connections</option>
+                        {connections.map(conn => (
+                            <option key={conn.id} value={conn.id}>{conn.name}</option>
+                        ))}
+                    </select>
+                    <select className="input" value={status} onChange={e => setStatus(e.target.value)}>
+                        <option value="">Any status</option>
+                        {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="history-filter-row">
+                    <input className="input" type="date" value={from} max={to || undefined} onChange={e => setFrom(e.target.value)} title="From" />
+                    <input className="input" type="date" value={to} min={from || undefined} onChange={e => setTo(e.target.value)} title="To" />
+                </div>
+                <div className="history-summary">
+                    <span>{total} {total === 1 ? 'query' : 'queries'}</span>
+                    {total > 0 && (
+                        <button className="btn btn-sm btn-ghost" onClick={handleClear}>
+                            <Trash2 className="icon-xs" /> Clear
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {error && (
+                <div className="error-message">
+                    <AlertCircle className="icon" />
+                    {error}
+                </div>
+            )}
+
+            <div className="history-list">
+                {entries.length === 0 && !loading ? (
+                    <div className="empty-state-small">
+                        <p className="empty-text">No queries found</p>
+                        <p className="empty-subtext">Queries you run in the chat show up here</p>
+                    </div>
+                ) : (
+                    entries.map(entry => {
+                        // Queries can only be put into the chat of the connection they ran on
+                        const inOpenChat = entry.connectionId === selectedConnection?.id;
+
+                        return (
+                            <div key={entry.id} className="history-entry">
+                                <div className="history-entry-meta">
+                                    <span className={`history-status ${entry.status}`}>{STATUS_LABELS[entry.status]}</span>
+                                    <span className="history-connection">{connectionName(entry.connectionId)}</span>
+                                    <span className="history-time">{new Date(entry.createdAt).toLocaleString()}</span>
+                                </div>
+                                <pre className="history-query">{entry.query}</pre>
+                                <div className="history-entry-details">
+                                    {entry.status === 'success' && (
+                                        <span>
+                                            {entry.rowCount ?? 0} rows
+                                            {entry.executionTime != null && ` · ${entry.executionTime}ms`}
+                                        </span>
+                                    )}
+                                    {entry.status === 'error' && entry.error && (
+                                        <span className="history-error" title={entry.error}>{entry.error}</span>
+                                    )}
+                                </div>
+                                <div className="history-actions">
+                                    <button className="btn btn-sm btn-ghost" onClick={() => copyQuery(entry)} title="Copy query">
+                                        {copiedId === entry.id ? <Check className="icon-xs" /> : <Copy className="icon-xs" />} Copy
+                                    </button>
+                                    <button
+                                        className="btn btn-sm btn-ghost"
+                                        onClick={() => onInsertQuery(entry.query, { run: false })}
+                                        disabled={!inOpenChat}
+                                        title={inOpenChat ? 'Add to the chat' : 'Select this connection to use the query'}
+                                    >
+                                        <MessageSquarePlus className="icon-xs" /> To chat
+                                    </button>
+                                    <button
+                                        className="btn btn-sm btn-outline"
+                                        onClick={() => onInsertQuery(entry.query, { run: true })}
+                                        disabled={!inOpenChat}
+                                        title={inOpenChat ? 'Run the query again' : 'Select this connection to run the query'}
+                                    >
+                                        <Play className="icon-xs" /> Re-run
+                                    </button>
+                                </div>
+                            </div>
+                        );
+                    })
+                )}
+
+                {loading ? (
+                    <div className="history-loading">
+                        <Loader2 className="icon-sm spin" /> Loading...
+                    </div>
+                ) : entries.length < total && (
+                    <button className="btn btn-sm btn-outline history-more" onClick={() => load(entries.length)}>
+                        Load more
+                    </button>
+                )}
+            </div>
+
+            <style>{`
+                .history-panel {
+                    height: 100%;
+                    display: flex;
+                    flex-direction: column;
+                    padding: var(--space-lg);
+                    gap: var(--space-md);
+                }
+
+                .history-header {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                }
+
+                .history-title {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-sm);
+                    font-size: 1.125rem;
+                    font-weight: 600;
+                    color: var(--color-text-primary);
+                }
+
+                .history-filters {
+                    display: flex;
+                    flex-direction: column;
+                    gap: var(--space-sm);
+                }
+
+                .history-search {
+                    position: relative;
+                    display: flex;
+                    align-items: center;
+                }
+
+                .history-search .icon-sm {
+                    position: absolute;
+                    left: var(--space-sm);
+                    color: var(--color-text-tertiary);
+                }
+
+                .history-search .input {
+                    padding-left: 2rem;
+                }
+
+                .history-filter-row {
+                    display: flex;
+                    gap: var(--space-sm);
+                }
+
+                .history-filter-row .input {
+                    flex: 1;
+                    min-width: 0;
+                    padding: var(--space-xs) var(--space-sm);
+                    font-size: 0.8125rem;
+                }
+
+                .history-summary {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    font-size: 0.75rem;
+                    color: var(--color-text-tertiary);
+                }
+
+                .history-list {
+                    flex: 1;
+                    overflow-y: auto;
+                    display: flex;
+                    flex-direction: column;
+                    gap: var(--space-sm);
+                }
+
+                .history-entry {
+                    padding: var(--space-sm) var(--space-md);
+                    border: 1px solid var(--color-border);
+                    border-radius: var(--radius-md);
+                    background: var(--color-bg-secondary);
+                }
+
+                .history-entry-meta {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-sm);
+                    font-size: 0.75rem;
+                    color: var(--color-text-tertiary);
+                }
+
+                .history-connection {
+                    flex: 1;
+                    min-width: 0;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+
+                .history-status {
+                    padding: 0.125rem 0.5rem;
+                    border-radius: var(--radius-full);
+                    font-weight: 500;
+                }
+
+                .history-status.success {
+                    background: rgba(16, 185, 129, 0.1);
+                    color: var(--color-success);
+                }
+
+                .history-status.error {
+                    background: rgba(239, 68, 68, 0.1);
+                    color: var(--color-error);
+                }
+
+                .history-status.cancelled {
+                    background: var(--color-bg-tertiary);
+                    color: var(--color-text-secondary);
+                }
+
+                .history-query {
+                    margin: var(--space-sm) 0;
+                    max-height: 8rem;
+                    overflow: auto;
+                    font-family: var(--font-mono);
+                    font-size: 0.75rem;
+                    white-space: pre-wrap;
+                    word-break: break-word;
+                    color: var(--color-text-primary);
+                }
+
+                .history-entry-details {
+                    font-size: 0.75rem;
+                    color: var(--color-text-secondary);
+                }
+
+                .history-error {
+                    display: block;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                    color: var(--color-error);
+                }
+
+                .history-actions {
+                    display: flex;
+                    justify-content: flex-end;
+                    gap: var(--space-xs);
+                    margin-top: var(--space-xs);
+                }
+
+                .history-loading {
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    gap: var(--space-sm);
+                    padding: var(--space-md);
+                    font-size: 0.875rem;
+                    color: var(--color-text-tertiary);
+                }
+
+                .history-more {
+                    align-self: center;
+                }
+            `}</style>
+        </div>
+    );
+}
@@ -0,0 +1,204 @@
+import {
+    ResponsiveContainer, BarChart, Bar, LineChart, Line, PieChart, Pie, Cell, ScatterChart, Scatter,
+    XAxis, YAxis, CartesianGrid, Tooltip, Legend
+} from 'recharts';
+import { CHART_TYPES, AGGREGATIONS, inferColumnTypes, completeSettings, buildChartData } from '../services/chartService';
+
+const CHART_LABELS = {
+    bar: 'Bar',
+    line: 'Line',
+    pie: 'Pie',
+    scatter: 'Scatter',
+    timeseries: 'Time series'
+};
+
+// Same hues as the theme, spread out for pie slices
+const COLORS = [
+    'hsl(187, 100%, 42%)', 'hsl(262, 60%, 58%)', 'hsl(38, 92%, 50%)', 'hsl(142, 71%, 45%)', 'hsl(0, 84%, 60%)',
+    'hsl(210, 70%, 50%)', 'hsl(320, 65%, 55%)', 'hsl(90, 55%, 45%)', 'hsl(20, 85%, 55%)', 'hsl(210, 15%, 60%)'
+];
+
+const formatTime = (time) => new Date(time).toLocaleDateString();
+
+/**
+ * Chart of a query result with editable type, axes and aggregation
+ * @param {object} result - Query result ({ columns, rows })
+ * @param {object} settings - { type, x, y, aggregation }
+ * @param {function} onChange - Receives new settings
+ */
+export default function ResultChart({ result, settings, onChange }) {
+    const { columns, rows } = result;
+    const types = inferColumnTypes(columns, rows);
+    const numericColumns = columns.filter(col => types[col] === 'number');
+    const availableTypes = CHART_TYPES.filter(type => completeSettings({ type }, columns, types));
+    const { data, truncated } = buildChartData(rows, settings);
+
+    const update = (changes) => {
+        const next = completeSettings({ ...settings, ...changes }, columns, types);
+        if (next) onChange(next);
+    };
+
+    const yLabel = settings.aggregation === 'count'
+        ? 'Count'
+        : settings.aggregation === 'none' ? settings.y : `${settings.aggregation}(${settings.y})`;
+
+    const renderChart = () => {
+        switch (settings.type) {
+            case 'pie':
+                return (
+                    <PieChart>
+                        <Pie data={data} dataKey="y" nameKey="x" outerRadius="80%" label>
+                            {data.map((point, i) => <Cell key={i} fill={COLORS[i % COLORS.length]} />)}
+                        </Pie>
+                        <Tooltip formatter={(value) => [value, yLabel]} />
+                        <Legend />
+                    </PieChart>
+                );
+
+            case 'scatter':
+                return (
+                    <ScatterChart>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis type="number" dataKey="x" name={settings.x} />
+                        <YAxis type="number" dataKey="y" name={settings.y} />
+                        <Tooltip />
+                        <Scatter data={data} fill={COLORS[0]} />
+                    </ScatterChart>
+                );
+
+            case 'line':
+            case 'timeseries': {
+                const time = settings.type === 'timeseries';
+                return (
+                    <LineChart data={data}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis
+                            dataKey="x"
+                            type={time ? 'number' : 'category'}
+                            scale={time ? 'time' : 'auto'}
+                            domain={time ? ['dataMin', 'dataMax'] : undefined}
+                            tickFormatter={time ? formatTime : undefined}
+                        />
+                        <YAxis />
+                        <Tooltip labelFormatter={time ? formatTime : undefined} formatter={(value) => [value, yLabel]} />
+                        <Line type="monotone" dataKey="y" stroke={COLORS[0]} dot={data.length <= 50} />
+                    </LineChart>
+                );
+            }
+
+            default:
+                return (
+                    <BarChart data={data}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="x" />
+                        <YAxis />
+                        <Tooltip formatter={(value) => [value, yLabel]} />
+                        <Bar dataKey="y" fill={COLORS[0]} />
+                    </BarChart>
+                );
+        }
+    };
+
+    return (
+        <div className="result-chart">
+            <div className="chart-controls">
+                <label>
+                    Chart
+                    <select className="input" value={settings.type} onChange={e => update({ type: e.target.value })}>
+                        {availableTypes.map(type => (
+                            <option key={type} value={type}>{CHART_LABELS[type]}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    X
+                    <select className="input" value={settings.x} onChange={e => update({ x: e.target.value })}>
+                        {columns
+                            .filter(col => settings.type === 'scatter' ? types[col] === 'number'
+                                : settings.type === 'timeseries' ? types[col] === 'date'
+                                    : types[col] !== 'other')
+                            .map(col => <option key={col} value={col}>{col}</option>)}
+                    </select>
+                </label>
+                <label>
+                    Y
+                    <select
+                        className="input"
+                        value={settings.y || ''}
+                        onChange={e => update({ y: e.target.value })}
+                        disabled={settings.aggregation === 'count' || numericColumns.length === 0}
+                    >
+                        {!settings.y && <option value="">(rows)</option>}
+                        {numericColumns.map(col => <option key={col} value={col}>{col}</option>)}
+                    </select>
+                </label>
+                {settings.type !== 'scatter' && (
+                    <label>
+                        Aggregation
+                        <select className="input" value={settings.aggregation} onChange={e => update({ aggregation: e.target.value })}>
+                            {AGGREGATIONS
+                                .filter(aggregation => settings.y || aggregation === 'count')
+                                .map(aggregation => <option key={aggregation} value={aggregation}>{aggregation}</option>)}
+                        </select>
+                    </label>
+                )}
+            </div>
+
+            {data.length === 0 ? (
+                <div className="empty-result">
+                    <p>Nothing to chart with these settings.</p>
+                </div>
+            ) : (
+                <div className="chart-canvas">
+                    <ResponsiveContainer width="100%" height={300}>
+                        {renderChart()}
+                    </ResponsiveContainer>
+                </div>
+            )}
+
+            <div className="chart-footer">
+                Charting the {rows.length} loaded {rows.length === 1 ? 'row' : 'rows'}
+                {truncated && ` · showing the top ${data.length} categories`}
+            </div>
+
+            <style>{`
+                .result-chart {
+                    padding: var(--space-md);
+                }
+
+                .chart-controls {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: var(--space-md);
+                    margin-bottom: var(--space-md);
+                }
+
+                .chart-controls label {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-xs);
+                    font-size: 0.75rem;
+                    font-weight: 500;
+                    color: var(--color-text-secondary);
+                }
+
+                .chart-controls .input {
+                    width: auto;
+                    padding: 2px var(--space-sm);
+                    font-size: 0.75rem;
+                }
+
+                .chart-canvas {
+                    font-size: 0.75rem;
+                }
+
+                .chart-footer {
+                    margin-top: var(--space-sm);
+                    text-align: center;
+                    font-size: 0.75rem;
+                    color: var(--color-text-tertiary);
+                }
+            `}</style>
+        </div>
+    );
+}
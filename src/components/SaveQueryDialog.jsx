@@ -0,0 +1,276 @@
+import { useState } from 'react';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { PARAMETER_TYPES, mergeParameterDefinitions } from '../../shared/queryParameters';
+import { Bookmark, X, Save, AlertCircle, Loader2 } from 'lucide-react';
+
+const TYPE_LABELS = {
+    string: 'Text',
+    number: 'Number',
+    integer: 'Integer',
+    boolean: 'Boolean',
+    date: 'Date',
+    datetime: 'Date & time'
+};
+
+/**
+ * Save a query to the library, or edit a saved one
+ * @param {object} savedQuery - Saved query to edit, or { query } for a new one
+ * @param {string} connectionId - Connection the query belongs to
+ * @param {string} dbType - Its database type, for finding placeholders
+ * @param {function} onClose - Close the dialog
+ */
+export default function SaveQueryDialog({ savedQuery, connectionId, dbType, onClose }) {
+    const { saveQuery } = useDatabase();
+
+    const [name, setName] = useState(savedQuery.name || '');
+    const [description, setDescription] = useState(savedQuery.description || '');
+    const [tags, setTags] = useState((savedQuery.tags || []).join(', '));
+    const [query, setQuery] = useState(savedQuery.query || '');
+    const [parameters, setParameters] = useState(savedQuery.parameters || []);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    // Placeholders are picked up from the query as it is edited
+    const definitions = mergeParameterDefinitions(query, dbType, parameters);
+
+    const updateParameter = (paramName, changes) => {
+        setParameters(definitions.map(def => def.name === paramName ? { ...def, ...changes } : def));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+
+        try {
+            const fields = {
+                name,
+                description,
+                tags: tags.split(',').map(tag => tag.trim()).filter(Boolean),
+                query,
+                parameters: definitions
+            };
+            await saveQuery(savedQuery.id ? fields : { ...fields, connectionId }, savedQuery.id);
+            onClose();
+        } catch (err) {
+            setError(err.message);
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="save-query-overlay">
+            <form className="save-query-dialog" onSubmit={handleSubmit}>
+                <div className="save-query-header">
+                    <h3>
+                        <Bookmark className="icon" /> {savedQuery.id ? 'Edit Saved Query' : 'Save Query'}
+                    </h3>
+                    <button type="button" className="btn btn-ghost btn-icon" onClick={onClose} title="Close">
+                        <X className="icon" />
+                    </button>
+                </div>
+
+                <div className="save-query-body">
+                    <div className="input-group">
+                        <label className="input-label" htmlFor="saved-query-name">Name</label>
+                        <input
+                            id="saved-query-name"
+                            className="input"
+                            value={name}
+                            onChange={e => setName(e.target.value)}
+                            placeholder="Orders per customer"
+                            autoFocus
+                        />
+                    </div>
+
+                    <div className="input-group">
+                        <label className="input-label" htmlFor="saved-query-description">Description</label>
+                        <textarea
+                            id="saved-query-description"
+                            className="input"
+                            value={description}
+                            onChange={e => setDescription(e.target.value)}
+                            rows={2}
+                        />
+                    </div>
+
+                    <div className="input-group">
+                        <label className="input-label" htmlFor="saved-query-tags">Tags</label>
+                        <input
+                            id="saved-query-tags"
+                            className="input"
+                            value={tags}
+                            onChange={e => setTags(e.target.value)}
+                            placeholder="sales, weekly"
+                        />
+                        <span className="input-hint">Separate tags with commas</span>
+                    </div>
+
+                    <div className="input-group">
+                        <label className="input-label" htmlFor="saved-query-text">Query</label>
+                        <textarea
+                            id="saved-query-text"
+                            className="input save-query-text"
+                            value={query}
+                            onChange={e => setQuery(e.target.value)}
+                            rows={6}
+                        />
+                        <span className="input-hint">
+                            {dbType === 'mongodb'
+                                ? 'Use "{{name}}" as a value to add a parameter'
+                                : 'Use :name or {{name}} to add a parameter; values are bound by the database driver'}
+                        </span>
+                    </div>
+
+                    {definitions.length > 0 && (
+                        <div className="input-group">
+                            <span className="input-label">Parameters</span>
+                            <table className="save-query-params">
+                                <thead>
+                                    <tr>
+                                        <th>Name</th>
+                                        <th>Type</th>
+                                        <th>Default</th>
+                                        <th>Required</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {definitions.map(def => (
+                                        <tr key={def.name}>
+                                            <td><code>{def.name}</code></td>
+                                            <td>
+                                                <select
+                                                    className="input"
+                                                    value={def.type}
+                                                    onChange={e => updateParameter(def.name, { type: e.target.value })}
+                                                >
+                                                    {PARAMETER_TYPES.map(type => (
+                                                        <option key={type} value={type}>{TYPE_LABELS[type]}</option>
+                                                    ))}
+                                                </select>
+                                            </td>
+                                            <td>
+                                                <input
+                                                    className="input"
+                                                    value={def.defaultValue}
+                                                    onChange={e => updateParameter(def.name, { defaultValue: e.target.value })}
+                                                    placeholder="None"
+                                                />
+                                            </td>
+                                            <td>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={def.required}
+                                                    onChange={e => updateParameter(def.name, { required: e.target.checked })}
+                                                />
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {error && (
+                        <div className="error-message">
+                            <AlertCircle className="icon" />
+                            {error}
+                        </div>
+                    )}
+                </div>
+
+                <div className="save-query-actions">
+                    <button type="button" className="btn btn-ghost" onClick={onClose}>Cancel</button>
+                    <button type="submit" className="btn btn-primary" disabled={saving || !name.trim() || !query.trim()}>
+                        {saving ? <Loader2 className="icon-sm spin" /> : <Save className="icon-sm" />} Save
+                    </button>
+                </div>
+            </form>
+
+            <style>{`
+                .save-query-overlay {
+                    position: fixed;
+                    top: 0;
+                    left: 0;
+                    right: 0;
+                    bottom: 0;
+                    background: rgba(0, 0, 0, 0.6);
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    z-index: 1000;
+                    backdrop-filter: blur(4px);
+                }
+
+                .save-query-dialog {
+                    display: flex;
+                    flex-direction: column;
+                    max-width: 600px;
+                    width: 90%;
+                    max-height: 90vh;
+                    padding: var(--space-xl);
+                    background: var(--color-surface);
+                    border: 1px solid var(--color-border);
+                    border-radius: var(--radius-xl);
+                    box-shadow: var(--shadow-xl);
+                }
+
+                .save-query-header {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    margin-bottom: var(--space-lg);
+                }
+
+                .save-query-header h3 {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-sm);
+                    margin: 0;
+                    font-size: 1.25rem;
+                    color: var(--color-text-primary);
+                }
+
+                .save-query-body {
+                    flex: 1;
+                    overflow-y: auto;
+                }
+
+                .save-query-text {
+                    font-family: var(--font-mono);
+                    font-size: 0.8125rem;
+                }
+
+                .save-query-params {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 0.8125rem;
+                }
+
+                .save-query-params th {
+                    padding: var(--space-xs);
+                    text-align: left;
+                    font-weight: 500;
+                    color: var(--color-text-secondary);
+                }
+
+                .save-query-params td {
+                    padding: var(--space-xs);
+                    vertical-align: middle;
+                }
+
+                .save-query-params .input {
+                    padding: var(--space-xs) var(--space-sm);
+                    font-size: 0.8125rem;
+                }
+
+                .save-query-actions {
+                    display: flex;
+                    justify-content: flex-end;
+                    gap: var(--space-sm);
+                    margin-top: var(--space-lg);
+                }
+            `}</style>
+        </div>
+    );
+}
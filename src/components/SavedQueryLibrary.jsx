@@ -0,0 +1,486 @@
+import { useState, useEffect } from 'react';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { listSavedQueries } from '../services/savedQueryService';
+import { coerceParameterValue } from '../../shared/queryParameters';
+import SaveQueryDialog from './SaveQueryDialog';
+import { BookMarked, X, Search, Play, Pencil, Trash2, AlertCircle, Loader2 } from 'lucide-react';
+
+const INPUT_TYPES = {
+    number: 'number',
+    integer: 'number',
+    date: 'date',
+    datetime: 'datetime-local'
+};
+
+// datetime-local inputs give local time without a zone; send an unambiguous instant
+const toParameterValue = (definition, value) =>
+    definition.type === 'datetime' && value ? new Date(value).toISOString() : value;
+
+/**
+ * Library of saved queries, each run through a form for its parameters
+ * @param {function} onClose - Close the panel
+ * @param {function} onRunQuery - (savedQuery, params) runs a saved query in the open chat
+ */
+export default function SavedQueryLibrary({ onClose, onRunQuery }) {
+    const { connections, selectedConnection, savedQueriesRevision, deleteSavedQuery } = useDatabase();
+
+    const [connectionId, setConnectionId] = useState(selectedConnection?.id || '');
+    const [search, setSearch] = useState('');
+    const [tag, setTag] = useState('');
+    const [queries, setQueries] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [runningId, setRunningId] = useState(null);
+    const [editing, setEditing] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const load = async () => {
+            setLoading(true);
+            try {
+                const saved = await listSavedQueries(connectionId || undefined);
+                if (cancelled) return;
+                setQueries(saved);
+                setError('');
+            } catch (err) {
+                if (!cancelled) setError(err.message);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+
+        load();
+        return () => {
+            cancelled = true;
+        };
+    }, [connectionId, savedQueriesRevision]);
+
+    const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+    const tags = [...new Set(queries.flatMap(saved => saved.tags))].sort();
+    const visible = queries.filter(saved => {
+        if (tag && !saved.tags.includes(tag)) return false;
+        const text = `${saved.name}\n${saved.description}\n${saved.query}`.toLowerCase();
+        return terms.every(term => text.includes(term));
+    });
+
+    const connectionOf = (id) => connections.find(conn => conn.id === id);
+
+    const handleRun = (saved) => {
+        if (saved.parameters.length === 0) {
+            onRunQuery(saved, {});
+        } else {
+            setRunningId(runningId === saved.id ? null : saved.id);
+        }
+    };
+
+    const handleDelete = async (saved) => {
+        if (!confirm(`Delete the saved query "${saved.name}"?`)) return;
+
+        try {
+            await deleteSavedQuery(saved.id);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="library-panel">
+            <div className="library-header">
+                <h2 className="library-title">
+                    <BookMarked className="icon" /> Saved Queries
+                </h2>
+                <button className="btn btn-ghost btn-icon" onClick={onClose} title="Close library">
+                    <X className="icon" />
+                </button>
+            </div>
+
+            <div className="library-filters">
+                <div className="library-search">
+                    <Search className="icon-sm" />
+                    <input
+                        className="input"
+                        type="search"
+                        placeholder="Search saved queries..."
+                        value={search}
+                        onChange={e => setSearch(e.target.value)}
+                    />
+                </div>
+                <div className="library-filter-row">
+                    <select className="input" value={connectionId} onChange={e => setConnectionId(e.target.value)}>
+                        <option value="">All connections</option>
+                        {connections.map(conn => (
+                            <option key={conn.id} value={conn.id}>{conn.name}</option>
+                        ))}
+                    </select>
+                    <select className="input" value={tag} onChange={e => setTag(e.target.value)}>
+                        <option value="">Any tag</option>
+                        {tags.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            {error && (
+                <div className="error-message">
+                    <AlertCircle className="icon" />
+                    {error}
+                </div>
+            )}
+
+            <div className="library-list">
+                {loading && queries.length === 0 ? (
+                    <div className="library-loading">
+                        <Loader2 className="icon-sm spin" /> Loading...
+                    </div>
+                ) : visible.length === 0 ? (
+                    <div className="empty-state-small">
+                        <p className="empty-text">No saved queries found</p>
+                        <p className="empty-subtext">Save a query from the chat to reuse it here</p>
+                    </div>
+                ) : (
+                    visible.map(saved => {
+                        // Saved queries run in the chat of their own connection
+                        const inOpenChat = saved.connectionId === selectedConnection?.id;
+
+                        return (
+                            <div key={saved.id} className="library-entry">
+                                <div className="library-entry-title">
+                                    <span className="library-name">{saved.name}</span>
+                                    {!connectionId && (
+                                        <span className="library-connection">{connectionOf(saved.connectionId)?.name}</span>
+                                    )}
+                                </div>
+                                {saved.description && <p className="library-description">{saved.description}</p>}
+                                {saved.tags.length > 0 && (
+                                    <div className="library-tags">
+                                        {saved.tags.map(name => (
+                                            <button
+                                                key={name}
+                                                className={`library-tag ${tag === name ? 'active' : ''}`}
+                                                onClick={() => setTag(tag === name ? '' : name)}
+                                            >
+                                                {name}
+                                            </button>
+                                        ))}
+                                    </div>
+                                )}
+                                <pre className="library-query">{saved.query}</pre>
+
+                                {runningId === saved.id && (
+                                    <ParameterForm
+                                        savedQuery={saved}
+                                        onRun={(params) => {
+                                            setRunningId(null);
+                                            onRunQuery(saved, params);
+                                        }}
+                                        onCancel={() => setRunningId(null)}
+                                    />
+                                )}
+
+                                <div className="library-actions">
+                                    <button
+                                        className="btn btn-sm btn-ghost"
+                                        onClick={() => setEditing(saved)}
+                                        title="Edit saved query"
+                                    >
+                                        <Pencil className="icon-xs" /> Edit
+                                    </button>
+                                    <button
+                                        className="btn btn-sm btn-ghost"
+                                        onClick={() => handleDelete(saved)}
+                                        title="Delete saved query"
+                                    >
+                                        <Trash2 className="icon-xs" /> Delete
+                                    </button>
+                                    <button
+                                        className="btn btn-sm btn-outline"
+                                        onClick={() => handleRun(saved)}
+                                        disabled={!inOpenChat}
+                                        title={inOpenChat ? 'Run in the chat' : 'Select this connection to run the query'}
+                                    >
+                                        <Play className="icon-xs" /> Run
+                                    </button>
+                                </div>
+                            </div>
+                        );
+                    })
+                )}
+            </div>
+
+            {editing && (
+                <SaveQueryDialog
+                    savedQuery={editing}
+                    connectionId={editing.connectionId}
+                    dbType={connectionOf(editing.connectionId)?.dbType}
+                    onClose={() => setEditing(null)}
+                />
+            )}
+
+            <style>{`
+                .library-panel {
+                    height: 100%;
+                    display: flex;
+                    flex-direction: column;
+                    padding: var(--space-lg);
+                    gap: var(--space-md);
+                }
+
+                .library-header {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                }
+
+                .library-title {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-sm);
+                    font-size: 1.125rem;
+                    font-weight: 600;
+                    color: var(--color-text-primary);
+                }
+
+                .library-filters {
+                    display: flex;
+                    flex-direction: column;
+                    gap: var(--space-sm);
+                }
+
+                .library-search {
+                    position: relative;
+                    display: flex;
+                    align-items: center;
+                }
+
+                .library-search .icon-sm {
+                    position: absolute;
+                    left: var(--space-sm);
+                    color: var(--color-text-tertiary);
+                }
+
+                .library-search .input {
+                    padding-left: 2rem;
+                }
+
+                .library-filter-row {
+                    display: flex;
+                    gap: var(--space-sm);
+                }
+
+                .library-filter-row .input {
+                    flex: 1;
+                    min-width: 0;
+                    padding: var(--space-xs) var(--space-sm);
+                    font-size: 0.8125rem;
+                }
+
+                .library-list {
+                    flex: 1;
+                    overflow-y: auto;
+                    display: flex;
+                    flex-direction: column;
+                    gap: var(--space-sm);
+                }
+
+                .library-entry {
+                    padding: var(--space-sm) var(--space-md);
+                    border: 1px solid var(--color-border);
+                    border-radius: var(--radius-md);
+                    background: var(--color-bg-secondary);
+                }
+
+                .library-entry-title {
+                    display: flex;
+                    align-items: baseline;
+                    gap: var(--space-sm);
+                    font-size: 0.75rem;
+                    color: var(--color-text-tertiary);
+                }
+
+                .library-name {
+                    font-size: 0.875rem;
+                    font-weight: 600;
+                    color: var(--color-text-primary);
+                }
+
+                .library-connection {
+                    flex: 1;
+                    min-width: 0;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                    text-align: right;
+                }
+
+                .library-description {
+                    margin: var(--space-xs) 0 0;
+                    font-size: 0.8125rem;
+                    color: var(--color-text-secondary);
+                }
+
+                .library-tags {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: var(--space-xs);
+                    margin-top: var(--space-xs);
+                }
+
+                .library-tag {
+                    padding: 0.125rem 0.5rem;
+                    border: none;
+                    border-radius: var(--radius-full);
+                    background: var(--color-bg-tertiary);
+                    color: var(--color-text-secondary);
+                    font-size: 0.6875rem;
+                    cursor: pointer;
+                }
+
+                .library-tag.active {
+                    background: var(--color-primary-alpha);
+                    color: var(--color-primary);
+                }
+
+                .library-query {
+                    margin: var(--space-sm) 0;
+                    max-height: 8rem;
+                    overflow: auto;
+                    font-family: var(--font-mono);
+                    font-size: 0.75rem;
+                    white-space: pre-wrap;
+                    word-break: break-word;
+                    color: var(--color-text-primary);
+                }
+
+                .library-actions {
+                    display: flex;
+                    justify-content: flex-end;
+                    gap: var(--space-xs);
+                    margin-top: var(--space-xs);
+                }
+
+                .library-loading {
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    gap: var(--space-sm);
+                    padding: var(--space-md);
+                    font-size: 0.875rem;
+                    color: var(--color-text-tertiary);
+                }
+
+                .library-error {
+                    font-size: 0.75rem;
+                    color: var(--color-error);
+                }
+
+                .parameter-form {
+                    display: flex;
+                    flex-direction: column;
+                    gap: var(--space-sm);
+                    padding: var(--space-sm);
+                    border: 1px solid var(--color-border);
+                    border-radius: var(--radius-md);
+                    background: var(--color-surface);
+                }
+
+                .parameter-field {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 2px;
+                    font-size: 0.75rem;
+                    font-weight: 500;
+                    color: var(--color-text-secondary);
+                }
+
+                .parameter-field .input {
+                    padding: var(--space-xs) var(--space-sm);
+                    font-size: 0.8125rem;
+                }
+
+                .parameter-field .parameter-type {
+                    font-weight: 400;
+                    color: var(--color-text-tertiary);
+                }
+
+                .parameter-form-actions {
+                    display: flex;
+                    justify-content: flex-end;
+                    gap: var(--space-xs);
+                }
+            `}</style>
+        </div>
+    );
+}
+
+/**
+ * Form for a saved query's parameters, checked against their types before running
+ */
+function ParameterForm({ savedQuery, onRun, onCancel }) {
+    // Empty fields fall back to the parameter's default
+    const [values, setValues] = useState(() => Object.fromEntries(savedQuery.parameters.map(def => [def.name, ''])));
+    const [error, setError] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        const params = {};
+        try {
+            for (const def of savedQuery.parameters) {
+                const value = toParameterValue(def, values[def.name]);
+                // The server checks again when it binds; this only catches mistakes early
+                coerceParameterValue(def, value);
+                params[def.name] = value;
+            }
+        } catch (err) {
+            setError(err.message);
+            return;
+        }
+        onRun(params);
+    };
+
+    return (
+        <form className="parameter-form" onSubmit={handleSubmit}>
+            {savedQuery.parameters.map(def => (
+                <label key={def.name} className="parameter-field">
+                    <span>
+                        {def.name}{def.required && !def.defaultValue ? ' *' : ''}
+                        {' '}<span className="parameter-type">{def.type}</span>
+                    </span>
+                    {def.type === 'boolean' ? (
+                        <select
+                            className="input"
+                            value={values[def.name]}
+                            onChange={e => setValues({ ...values, [def.name]: e.target.value })}
+                        >
+                            <option value="">
+                                {def.defaultValue ? `Default: ${def.defaultValue}` : def.required ? 'Choose...' : 'None'}
+                            </option>
+                            <option value="true">true</option>
+                            <option value="false">false</option>
+                        </select>
+                    ) : (
+                        <input
+                            className="input"
+                            type={INPUT_TYPES[def.type] || 'text'}
+                            step={def.type === 'number' ? 'any' : undefined}
+                            value={values[def.name]}
+                            placeholder={def.defaultValue ? `Default: ${def.defaultValue}` : ''}
+                            onChange={e => setValues({ ...values, [def.name]: e.target.value })}
+                        />
+                    )}
+                </label>
+            ))}
+
+            {error && <div className="library-error">{error}</div>}
+
+            <div className="parameter-form-actions">
+                <button type="button" className="btn btn-sm btn-ghost" onClick={onCancel}>Cancel</button>
+                <button type="submit" className="btn btn-sm btn-primary">
+                    <Play className="icon-xs" /> Run
+                </button>
+            </div>
+        </form>
+    );
+}
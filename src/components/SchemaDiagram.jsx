@@ -0,0 +1,569 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { getDatabaseSchema } from '../services/databaseService';
+import {
+    layoutSchema, visibleColumns, tablesOfQuery, isTableUsed, diagramToSvg, svgToPng, saveFile,
+    HEADER_HEIGHT, ROW_HEIGHT
+} from '../services/schemaDiagram';
+import { Network, X, Search, ZoomIn, ZoomOut, Maximize, RefreshCw, Download, MessageSquarePlus, Key, Link, AlertCircle, Loader2 } from 'lucide-react';
+
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 3;
+
+// Box text is cut to fit, since SVG text does not wrap
+const fit = (text, length) => text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+/**
+ * Entity relationship diagram of the selected connection's tables
+ * @param {function} onClose - Close the panel
+ * @param {string} selectedSql - Query of the message selected in the chat; its tables are highlighted
+ * @param {function} onAskQuestion - (question) puts a question into the chat input
+ */
+export default function SchemaDiagram({ onClose, selectedSql, onAskQuestion }) {
+    const { selectedConnection } = useDatabase();
+    const dbType = selectedConnection?.dbType;
+
+    const [schema, setSchema] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [search, setSearch] = useState('');
+    const [activeTable, setActiveTable] = useState(null);
+    const [view, setView] = useState({ x: 20, y: 20, k: 1 });
+    const [exporting, setExporting] = useState(false);
+
+    const svgRef = useRef(null);
+    const dragRef = useRef(null);
+
+    const load = useCallback(async () => {
+        if (!selectedConnection) return;
+        setLoading(true);
+        setError('');
+        const result = await getDatabaseSchema(selectedConnection.id);
+        if (result) {
+            setSchema(result);
+        } else {
+            setError('Could not read the database schema');
+        }
+        setLoading(false);
+    }, [selectedConnection]);
+
+    useEffect(() => {
+        setActiveTable(null);
+        load();
+    }, [load]);
+
+    const layout = useMemo(() => layoutSchema(schema), [schema]);
+    const usedTables = useMemo(() => tablesOfQuery(selectedSql, dbType), [selectedSql, dbType]);
+
+    const term = search.trim().toLowerCase();
+    const matches = useMemo(() => {
+        if (!term || !schema) return null;
+        return new Set(Object.entries(schema.tables)
+            .filter(([table, columns]) => table.toLowerCase().includes(term) || columns.some(col => col.name.toLowerCase().includes(term)))
+            .map(([table]) => table));
+    }, [schema, term]);
+
+    // Scale and move so the whole diagram is in view
+    const fitToView = useCallback(() => {
+        const svg = svgRef.current;
+        if (!svg || layout.width === 0) return;
+        const { width, height } = svg.getBoundingClientRect();
+        const k = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.min((width - 40) / layout.width, (height - 40) / layout.height, 1)));
+        setView({ x: (width - layout.width * k) / 2, y: 20, k });
+    }, [layout]);
+
+    useEffect(() => {
+        fitToView();
+    }, [fitToView]);
+
+    const centerOn = (table) => {
+        const node = layout.nodes[table];
+        const svg = svgRef.current;
+        if (!node || !svg) return;
+        const { width, height } = svg.getBoundingClientRect();
+        setView(v => ({ ...v, x: width / 2 - (node.x + node.width / 2) * v.k, y: height / 2 - (node.y + node.height / 2) * v.k }));
+    };
+
+    const zoomAt = (factor, cx, cy) => {
+        setView(v => {
+            const k = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, v.k * factor));
+            // Keep the point under the cursor where it is
+            return { k, x: cx - (cx - v.x) * (k / v.k), y: cy - (cy - v.y) * (k / v.k) };
+        });
+    };
+
+    const zoomCenter = (factor) => {
+        const { width, height } = svgRef.current.getBoundingClientRect();
+        zoomAt(factor, width / 2, height / 2);
+    };
+
+    // React registers wheel listeners as passive, and a passive listener cannot stop the page scrolling
+    useEffect(() => {
+        const svg = svgRef.current;
+        if (!svg) return;
+        const handleWheel = (e) => {
+            e.preventDefault();
+            const rect = svg.getBoundingClientRect();
+            zoomAt(e.deltaY < 0 ? 1.1 : 1 / 1.1, e.clientX - rect.left, e.clientY - rect.top);
+        };
+        svg.addEventListener('wheel', handleWheel, { passive: false });
+        return () => svg.removeEventListener('wheel', handleWheel);
+    }, [schema]);
+
+    const handlePointerDown = (e) => {
+        if (e.button !== 0) return;
+        dragRef.current = { x: e.clientX, y: e.clientY, view, moved: false };
+        e.currentTarget.setPointerCapture(e.pointerId);
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        const dx = e.clientX - drag.x;
+        const dy = e.clientY - drag.y;
+        if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+        setView({ ...drag.view, x: drag.view.x + dx, y: drag.view.y + dy });
+    };
+
+    // A press that did not pan is a click: on a table it opens the details, elsewhere it closes them
+    const handlePointerUp = (e) => {
+        const drag = dragRef.current;
+        dragRef.current = null;
+        if (!drag || drag.moved) return;
+        const table = e.target.closest('[data-table]')?.getAttribute('data-table');
+        setActiveTable(table || null);
+    };
+
+    const handleSearchKey = (e) => {
+        if (e.key === 'Enter' && matches?.size > 0) {
+            const [first] = [...matches].sort((a, b) => a.localeCompare(b));
+            centerOn(first);
+            setActiveTable(first);
+        }
+    };
+
+    const handleExport = async (format) => {
+        setExporting(true);
+        try {
+            const markup = diagramToSvg(svgRef.current, layout);
+            const fileName = `${selectedConnection.name.replace(/[^\w-]+/g, '_')}-schema.${format}`;
+            const blob = format === 'svg'
+                ? new Blob([markup], { type: 'image/svg+xml' })
+                : await svgToPng(markup);
+            saveFile(blob, fileName);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const activeColumns = activeTable ? schema?.tables[activeTable] || [] : [];
+    const activeConstraints = activeTable ? schema?.constraints?.[activeTable] : null;
+    const foreignKeyOf = (table, column) => schema.relationships.find(rel => rel.table === table && rel.columns.includes(column));
+
+    const tableClass = (table) => [
+        'diagram-table',
+        isTableUsed(table, usedTables) && 'used',
+        activeTable === table && 'active',
+        matches && (matches.has(table) ? 'match' : 'dimmed')
+    ].filter(Boolean).join(' ');
+
+    const edgeClass = (edge) => [
+        'diagram-edge',
+        isTableUsed(edge.table, usedTables) && isTableUsed(edge.referencedTable, usedTables) && 'used',
+        (activeTable === edge.table || activeTable === edge.referencedTable) && 'active',
+        matches && !(matches.has(edge.table) || matches.has(edge.referencedTable)) && 'dimmed'
+    ].filter(Boolean).join(' ');
+
+    const tableCount = schema ? Object.keys(schema.tables).length : 0;
+
+    return (
+        <div className="diagram-panel">
+            <div className="diagram-header">
+                <h2 className="diagram-title">
+                    <Network className="icon" /> Schema Diagram
+                </h2>
+                <button className="btn btn-ghost btn-icon" onClick={onClose} title="Close diagram">
+                    <X className="icon" />
+                </button>
+            </div>
+
+            <div className="diagram-toolbar">
+                <div className="diagram-search">
+                    <Search className="icon-sm" />
+                    <input
+                        className="input"
+                        type="search"
+                        placeholder="Find a table or column..."
+                        value={search}
+                        onChange={e => setSearch(e.target.value)}
+                        onKeyDown={handleSearchKey}
+                    />
+                </div>
+                <button className="btn btn-ghost btn-icon" onClick={() => zoomCenter(1.2)} title="Zoom in">
+                    <ZoomIn className="icon-sm" />
+                </button>
+                <button className="btn btn-ghost btn-icon" onClick={() => zoomCenter(1 / 1.2)} title="Zoom out">
+                    <ZoomOut className="icon-sm" />
+                </button>
+                <button className="btn btn-ghost btn-icon" onClick={fitToView} title="Fit to view">
+                    <Maximize className="icon-sm" />
+                </button>
+                <button className="btn btn-ghost btn-icon" onClick={load} disabled={loading} title="Reload schema">
+                    <RefreshCw className={`icon-sm ${loading ? 'spin' : ''}`} />
+                </button>
+            </div>
+
+            <div className="diagram-summary">
+                <span>
+                    {tableCount} {tableCount === 1 ? 'table' : 'tables'}
+                    {schema && ` · ${schema.relationships.length} ${schema.relationships.length === 1 ? 'relationship' : 'relationships'}`}
+                    {matches && ` · ${matches.size} found`}
+                </span>
+                <div className="diagram-export">
+                    <button className="btn btn-sm btn-ghost" onClick={() => handleExport('svg')} disabled={exporting || tableCount === 0}>
+                        <Download className="icon-xs" /> SVG
+                    </button>
+                    <button className="btn btn-sm btn-ghost" onClick={() => handleExport('png')} disabled={exporting || tableCount === 0}>
+                        <Download className="icon-xs" /> PNG
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="error-message">
+                    <AlertCircle className="icon" />
+                    {error}
+                </div>
+            )}
+
+            <div className="diagram-canvas">
+                {loading && !schema ? (
+                    <div className="empty-state-small">
+                        <Loader2 className="icon spin" />
+                    </div>
+                ) : tableCount === 0 ? (
+                    <div className="empty-state-small">
+                        <p className="empty-text">No tables found</p>
+                    </div>
+                ) : (
+                    <svg
+                        ref={svgRef}
+                        className="diagram-svg"
+                        onPointerDown={handlePointerDown}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                    >
+                        <defs>
+                            <marker id="diagram-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                                <path d="M 0 0 L 10 5 L 0 10 z" className="diagram-arrow" />
+                            </marker>
+                        </defs>
+                        <g data-viewport transform={`translate(${view.x} ${view.y}) scale(${view.k})`}>
+                            {layout.edges.map(edge => (
+                                <path key={edge.id} d={edge.path} className={edgeClass(edge)} markerEnd="url(#diagram-arrow)">
+                                    <title>{`${edge.table}.${edge.columns.join(', ')} → ${edge.referencedTable}.${edge.referencedColumns.join(', ')}`}</title>
+                                </path>
+                            ))}
+                            {Object.values(layout.nodes).map(node => {
+                                const columns = schema.tables[node.table];
+                                const { shown, hidden } = visibleColumns(columns);
+                                return (
+                                    <g key={node.table} data-table={node.table} className={tableClass(node.table)} transform={`translate(${node.x} ${node.y})`}>
+                                        <rect className="diagram-box" width={node.width} height={node.height} rx="6" />
+                                        <rect className="diagram-box-header" width={node.width} height={HEADER_HEIGHT} rx="6" />
+                                        <text className="diagram-table-name" x="10" y={HEADER_HEIGHT / 2} dominantBaseline="central">
+                                            {fit(node.table, 26)}
+                                        </text>
+                                        {shown.map((col, i) => (
+                                            <g key={col.name} transform={`translate(0 ${HEADER_HEIGHT + i * ROW_HEIGHT})`}>
+                                                <text className={`diagram-column ${col.isPrimaryKey ? 'pk' : ''}`} x="10" y={ROW_HEIGHT / 2} dominantBaseline="central">
+                                                    {fit(`${col.isPrimaryKey ? '🔑 ' : foreignKeyOf(node.table, col.name) ? '→ ' : ''}${col.name}`, 18)}
+                                                </text>
+                                                <text className="diagram-column-type" x={node.width - 10} y={ROW_HEIGHT / 2} dominantBaseline="central" textAnchor="end">
+                                                    {fit(String(col.type || ''), 12)}
+                                                </text>
+                                            </g>
+                                        ))}
+                                        {hidden > 0 && (
+                                            <text className="diagram-column-type" x="10" y={HEADER_HEIGHT + shown.length * ROW_HEIGHT + ROW_HEIGHT / 2} dominantBaseline="central">
+                                                +{hidden} more
+                                            </text>
+                                        )}
+                                    </g>
+                                );
+                            })}
+                        </g>
+                    </svg>
+                )}
+
+                {activeTable && schema?.tables[activeTable] && (
+                    <div className="diagram-details">
+                        <div className="diagram-details-header">
+                            <strong>{activeTable}</strong>
+                            <button className="btn btn-ghost btn-icon btn-sm" onClick={() => setActiveTable(null)} title="Close details">
+                                <X className="icon-xs" />
+                            </button>
+                        </div>
+                        <ul className="diagram-details-columns">
+                            {activeColumns.map(col => {
+                                const fk = foreignKeyOf(activeTable, col.name);
+                                return (
+                                    <li key={col.name}>
+                                        <span className="diagram-details-name">
+                                            {col.isPrimaryKey && <Key className="icon-xs" />}
+                                            {fk && <Link className="icon-xs" />}
+                                            {col.name}
+                                        </span>
+                                        <span className="diagram-details-type">
+                                            {col.type}{col.nullable === false ? ' · not null' : ''}
+                                            {fk && ` → ${fk.referencedTable}.${fk.referencedColumns[fk.columns.indexOf(col.name)]}`}
+                                        </span>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                        {activeConstraints && (activeConstraints.unique.length > 0 || activeConstraints.checks.length > 0 || activeConstraints.indexes.length > 0) && (
+                            <div className="diagram-details-constraints">
+                                {activeConstraints.unique.map(u => <div key={u.name}>Unique ({u.columns.join(', ')})</div>)}
+                                {activeConstraints.checks.map(c => <div key={c.name}>Check {c.definition}</div>)}
+                                {activeConstraints.indexes.map(i => <div key={i.name}>Index {i.name} ({i.columns.join(', ')})</div>)}
+                            </div>
+                        )}
+                        <button className="btn btn-sm btn-outline" onClick={() => onAskQuestion(`show me data from ${activeTable}`)}>
+                            <MessageSquarePlus className="icon-xs" /> Show me data from {fit(activeTable, 24)}
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            <style>{`
+                .diagram-panel {
+                    height: 100%;
+                    display: flex;
+                    flex-direction: column;
+                    padding: var(--space-lg);
+                    gap: var(--space-md);
+                }
+
+                .diagram-header {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                }
+
+                .diagram-title {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-sm);
+                    font-size: 1.125rem;
+                    font-weight: 600;
+                    color: var(--color-text-primary);
+                }
+
+                .diagram-toolbar {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-xs);
+                }
+
+                .diagram-search {
+                    position: relative;
+                    flex: 1;
+                }
+
+                .diagram-search .icon-sm {
+                    position: absolute;
+                    left: var(--space-sm);
+                    top: 50%;
+                    transform: translateY(-50%);
+                    color: var(--color-text-tertiary);
+                }
+
+                .diagram-search .input {
+                    padding-left: 2rem;
+                }
+
+                .diagram-summary {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    font-size: 0.8125rem;
+                    color: var(--color-text-secondary);
+                }
+
+                .diagram-export {
+                    display: flex;
+                    gap: var(--space-xs);
+                }
+
+                .diagram-canvas {
+                    position: relative;
+                    flex: 1;
+                    min-height: 0;
+                    border: 1px solid var(--color-border);
+                    border-radius: var(--radius-md);
+                    overflow: hidden;
+                }
+
+                .diagram-svg {
+                    display: block;
+                    width: 100%;
+                    height: 100%;
+                    background: var(--color-bg-primary);
+                    cursor: grab;
+                    touch-action: none;
+                    user-select: none;
+                }
+
+                .diagram-svg:active {
+                    cursor: grabbing;
+                }
+
+                .diagram-table {
+                    cursor: pointer;
+                }
+
+                .diagram-box {
+                    fill: var(--color-surface);
+                    stroke: var(--color-border);
+                    stroke-width: 1;
+                }
+
+                .diagram-box-header {
+                    fill: var(--color-bg-secondary);
+                    stroke: var(--color-border);
+                    stroke-width: 1;
+                }
+
+                .diagram-table-name {
+                    fill: var(--color-text-primary);
+                    font-family: var(--font-sans);
+                    font-size: 13px;
+                    font-weight: 600;
+                }
+
+                .diagram-column {
+                    fill: var(--color-text-primary);
+                    font-family: var(--font-mono);
+                    font-size: 11px;
+                }
+
+                .diagram-column.pk {
+                    font-weight: 600;
+                }
+
+                .diagram-column-type {
+                    fill: var(--color-text-tertiary);
+                    font-family: var(--font-mono);
+                    font-size: 10px;
+                }
+
+                .diagram-table.used .diagram-box,
+                .diagram-table.used .diagram-box-header {
+                    stroke: var(--color-primary);
+                    stroke-width: 2;
+                }
+
+                .diagram-table.used .diagram-box-header {
+                    fill: var(--color-primary-alpha);
+                }
+
+                .diagram-table.match .diagram-box {
+                    stroke: var(--color-warning);
+                    stroke-width: 2;
+                }
+
+                .diagram-table.active .diagram-box {
+                    stroke: var(--color-primary);
+                    stroke-width: 3;
+                }
+
+                .diagram-table.dimmed {
+                    opacity: 0.3;
+                }
+
+                .diagram-edge {
+                    fill: none;
+                    stroke: var(--color-text-tertiary);
+                    stroke-width: 1.5;
+                }
+
+                .diagram-edge.used,
+                .diagram-edge.active {
+                    stroke: var(--color-primary);
+                    stroke-width: 2.5;
+                }
+
+                .diagram-edge.dimmed {
+                    opacity: 0.15;
+                }
+
+                .diagram-arrow {
+                    fill: var(--color-text-tertiary);
+                }
+
+                .diagram-details {
+                    position: absolute;
+                    right: var(--space-sm);
+                    bottom: var(--space-sm);
+                    width: min(300px, calc(100% - 2 * var(--space-sm)));
+                    max-height: 60%;
+                    display: flex;
+                    flex-direction: column;
+                    gap: var(--space-sm);
+                    padding: var(--space-md);
+                    background: var(--color-surface);
+                    border: 1px solid var(--color-border);
+                    border-radius: var(--radius-md);
+                    box-shadow: var(--shadow-lg);
+                    font-size: 0.8125rem;
+                }
+
+                .diagram-details-header {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    color: var(--color-text-primary);
+                    word-break: break-all;
+                }
+
+                .diagram-details-columns {
+                    flex: 1;
+                    margin: 0;
+                    padding: 0;
+                    list-style: none;
+                    overflow-y: auto;
+                }
+
+                .diagram-details-columns li {
+                    display: flex;
+                    justify-content: space-between;
+                    gap: var(--space-sm);
+                    padding: 2px 0;
+                    border-bottom: 1px solid var(--color-border);
+                }
+
+                .diagram-details-name {
+                    display: flex;
+                    align-items: center;
+                    gap: 4px;
+                    font-family: var(--font-mono);
+                    color: var(--color-text-primary);
+                }
+
+                .diagram-details-type {
+                    color: var(--color-text-tertiary);
+                    text-align: right;
+                }
+
+                .diagram-details-constraints {
+                    font-size: 0.75rem;
+                    color: var(--color-text-secondary);
+                    font-family: var(--font-mono);
+                }
+            `}</style>
+        </div>
+    );
+}
@@ -0,0 +1,154 @@
+import { useState, useEffect } from 'react';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { getDatabaseSchema } from '../services/databaseService';
+import { Layers, ChevronDown, ChevronRight, AlertCircle } from 'lucide-react';
+
+/**
+ * Schemas (databases on MySQL) of the selected connection, and which of them the AI sees.
+ * Only PostgreSQL and MySQL connections have any; for others nothing is shown.
+ */
+export default function SchemaPicker() {
+    const { selectedConnection, updateConnection } = useDatabase();
+    const [schemas, setSchemas] = useState(null);
+    const [expanded, setExpanded] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    // Reloaded after every change too, since the connection object is replaced
+    useEffect(() => {
+        let cancelled = false;
+        getDatabaseSchema(selectedConnection.id).then(schema => {
+            if (!cancelled) setSchemas(schema?.schemas || null);
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [selectedConnection]);
+
+    if (!schemas || schemas.length === 0) return null;
+
+    const label = selectedConnection.dbType === 'mysql' ? 'Databases' : 'Schemas';
+    const includedCount = schemas.filter(schema => schema.included).length;
+
+    const setIncluded = async (name, included) => {
+        let { include, exclude } = selectedConnection.schemas || { include: [], exclude: [] };
+        exclude = exclude.filter(n => n !== name);
+
+        if (included) {
+            if (include.length > 0 && !include.includes(name)) include = [...include, name];
+        } else if (include.length > 0) {
+            include = include.filter(n => n !== name);
+            // An empty include list would mean every schema
+            if (include.length === 0) exclude = schemas.map(schema => schema.name);
+        } else {
+            exclude = [...exclude, name];
+        }
+
+        setSaving(true);
+        setError('');
+        try {
+            await updateConnection(selectedConnection.id, { schemas: { include, exclude } });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="schema-picker">
+            <button type="button" className="schema-picker-header" onClick={() => setExpanded(!expanded)}>
+                {expanded ? <ChevronDown className="icon-xs" /> : <ChevronRight className="icon-xs" />}
+                <span className="schema-picker-title">{label}</span>
+                <span className="schema-picker-count">{includedCount} of {schemas.length}</span>
+            </button>
+
+            {error && (
+                <div className="error-message">
+                    <AlertCircle className="icon" />
+                    {error}
+                </div>
+            )}
+
+            {expanded && (
+                <>
+                    <p className="empty-subtext">The AI only sees tables in the checked {label.toLowerCase()}</p>
+                    {schemas.map(schema => (
+                        <label key={schema.name} className="schema-picker-item">
+                            <input
+                                type="checkbox"
+                                checked={schema.included}
+                                disabled={saving}
+                                onChange={(e) => setIncluded(schema.name, e.target.checked)}
+                            />
+                            <Layers className="icon-xs" />
+                            <span className="schema-picker-name">{schema.name}</span>
+                        </label>
+                    ))}
+                </>
+            )}
+
+            <style>{`
+                .schema-picker {
+                    margin-top: var(--space-lg);
+                    padding-top: var(--space-md);
+                    border-top: 1px solid var(--color-border);
+                    max-height: 30%;
+                    overflow-y: auto;
+                    display: flex;
+                    flex-direction: column;
+                    gap: var(--space-xs);
+                }
+
+                .schema-picker-header {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-xs);
+                    padding: 0;
+                    background: none;
+                    border: none;
+                    color: var(--color-text-tertiary);
+                    cursor: pointer;
+                }
+
+                .schema-picker-title {
+                    flex: 1;
+                    text-align: left;
+                    font-size: 0.75rem;
+                    font-weight: 600;
+                    text-transform: uppercase;
+                    letter-spacing: 0.05em;
+                }
+
+                .schema-picker-count {
+                    font-size: 0.75rem;
+                }
+
+                .schema-picker-item {
+                    display: flex;
+                    align-items: center;
+                    gap: var(--space-sm);
+                    padding: var(--space-xs) var(--space-sm);
+                    border-radius: var(--radius-md);
+                    font-size: 0.875rem;
+                    color: var(--color-text-secondary);
+                    cursor: pointer;
+                }
+
+                .schema-picker-item:hover {
+                    background: var(--color-surface-hover);
+                }
+
+                .schema-picker-name {
+                    flex: 1;
+                    min-width: 0;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                    font-family: var(--font-mono);
+                }
+            `}</style>
+        </div>
+    );
+}
@@ -1,4 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react';
+import * as authService from '../services/authService';
+import { UNAUTHORIZED_EVENT } from '../services/apiClient';
 
 const AuthContext = createContext(null);
 
@@ -15,57 +17,43 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    // Check if user is logged in (from localStorage)
-    const storedUser = localStorage.getItem('user');
-    if (storedUser) {
-      setUser(JSON.parse(storedUser));
-    }
-    setLoading(false);
+    // Remove plaintext credentials left behind by the old localStorage-only auth
+    localStorage.removeItem('users');
+    localStorage.removeItem('user');
+
+    // Restore the session from the server's session cookie
+    let cancelled = false;
+    authService.getCurrentUser().then(currentUser => {
+      if (cancelled) return;
+      setUser(currentUser);
+      setLoading(false);
+    });
+
+    // Any API call answered with 401 means the session is gone
+    const handleUnauthorized = () => setUser(null);
+    window.addEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+
+    return () => {
+      cancelled = true;
+      window.removeEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+    };
   }, []);
 
   const signIn = async (email, password) => {
-    // Simulate authentication - in production, this would call your backend
-    const users = JSON.parse(localStorage.getItem('users') || '[]');
-    const user = users.find(u => u.email === email && u.password === password);
-    
-    if (!user) {
-      throw new Error('Invalid email or password');
-    }
-
-    const userData = { id: user.id, email: user.email, name: user.name };
+    const userData = await authService.signIn(email, password);
     setUser(userData);
-    localStorage.setItem('user', JSON.stringify(userData));
     return userData;
   };
 
   const signUp = async (email, password, name) => {
-    // Simulate user registration
-    const users = JSON.parse(localStorage.getItem('users') || '[]');
-    
-    if (users.find(u => u.email === email)) {
-      throw new Error('User already exists');
-    }
-
-    const newUser = {
-      id: Date.now().toString(),
-      email,
-      password, // In production, this should be hashed
-      name,
-      createdAt: new Date().toISOString()
-    };
-
-    users.push(newUser);
-    localStorage.setItem('users', JSON.stringify(users));
-
-    const userData = { id: newUser.id, email: newUser.email, name: newUser.name };
+    const userData = await authService.signUp(email, password, name);
     setUser(userData);
-    localStorage.setItem('user', JSON.stringify(userData));
     return userData;
   };
 
-  const signOut = () => {
+  const signOut = async () => {
+    await authService.signOut();
     setUser(null);
-    localStorage.removeItem('user');
   };
 
   const value = {
@@ -0,0 +1,122 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useDatabase } from './DatabaseContext';
+import { ChatSessionContext } from './useChatSessions';
+import * as chatSessionService from '../services/chatSessionService';
+
+const MAX_CHAT_NAME_LENGTH = 60;
+
+export const ChatSessionProvider = ({ children }) => {
+    const { selectedConnection } = useDatabase();
+    const connectionId = selectedConnection?.id;
+    const [chatSessions, setChatSessions] = useState([]);
+    const [chatsLoading, setChatsLoading] = useState(false);
+    const [chatsError, setChatsError] = useState('');
+    const [activeChat, setActiveChat] = useState(null);
+    // Changes whenever a different chat is opened, so the chat view starts over
+    const [chatKey, setChatKey] = useState(0);
+
+    const showChat = (chat) => {
+        setActiveChat(chat);
+        setChatKey(key => key + 1);
+    };
+
+    // Load the connection's chats and resume the most recent one
+    useEffect(() => {
+        let cancelled = false;
+
+        const load = async () => {
+            setChatsLoading(true);
+            try {
+                const sessions = await chatSessionService.listChatSessions(connectionId);
+                const latest = sessions[0] ? await chatSessionService.getChatSession(sessions[0].id) : null;
+                if (cancelled) return;
+                setChatSessions(sessions);
+                setChatsError('');
+                showChat(latest);
+            } catch (error) {
+                if (!cancelled) setChatsError(error.message);
+            } finally {
+                if (!cancelled) setChatsLoading(false);
+            }
+        };
+
+        if (connectionId) {
+            load();
+        } else {
+            Promise.resolve().then(() => {
+                if (cancelled) return;
+                setChatSessions([]);
+                showChat(null);
+            });
+        }
+
+        return () => {
+            cancelled = true;
+        };
+    }, [connectionId]);
+
+    const openChat = async (id) => {
+        const chat = await chatSessionService.getChatSession(id);
+        showChat(chat);
+    };
+
+    const startNewChat = () => {
+        showChat(null);
+    };
+
+    const renameChat = async (id, name) => {
+        const summary = await chatSessionService.renameChatSession(id, name);
+        setChatSessions(prev => prev.map(chat => chat.id === id ? summary : chat));
+        setActiveChat(prev => prev?.id === id ? { ...prev, name: summary.name } : prev);
+    };
+
+    const deleteChat = async (id) => {
+        await chatSessionService.deleteChatSession(id);
+        setChatSessions(prev => prev.filter(chat => chat.id !== id));
+        if (activeChat?.id === id) {
+            showChat(null);
+        }
+    };
+
+    /**
+     * Save a chat's messages, creating the chat on its first save.
+     * Takes the chat ID explicitly so a save that finishes after the user
+     * switched chats still lands in the chat it belongs to.
+     * @param {string|null} chatId - Chat to save, or null for a new chat
+     * @param {Array} messages - Chat messages
+     * @returns {Promise<string>} - Chat ID
+     */
+    const saveChat = useCallback(async (chatId, messages) => {
+        if (!chatId) {
+            const question = messages.find(msg => msg.role === 'user')?.content || 'New chat';
+            const chat = await chatSessionService.createChatSession({
+                connectionId,
+                name: question.slice(0, MAX_CHAT_NAME_LENGTH),
+                messages
+            });
+            setChatSessions(prev => [chat, ...prev]);
+            setActiveChat(prev => prev ? prev : chat);
+            return chat.id;
+        }
+
+        const summary = await chatSessionService.saveChatMessages(chatId, messages);
+        setChatSessions(prev => [summary, ...prev.filter(chat => chat.id !== chatId)]);
+        return chatId;
+    }, [connectionId]);
+
+    const value = {
+        chatSessions,
+        chatsLoading,
+        chatsError,
+        // Until the new connection's chats load, the previous connection's chat must not show
+        activeChat: activeChat?.connectionId === connectionId ? activeChat : null,
+        chatKey,
+        openChat,
+        startNewChat,
+        renameChat,
+        deleteChat,
+        saveChat
+    };
+
+    return <ChatSessionContext.Provider value={value}>{children}</ChatSessionContext.Provider>;
+};
@@ -1,5 +1,8 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { useAuth } from './AuthContext';
+import * as connectionService from '../services/connectionService';
+import * as queryHistoryService from '../services/queryHistoryService';
+import * as savedQueryService from '../services/savedQueryService';
 
 const DatabaseContext = createContext(null);
 
@@ -14,64 +17,70 @@ export const useDatabase = () => {
 export const DatabaseProvider = ({ children }) => {
     const { user } = useAuth();
     const [connections, setConnections] = useState([]);
+    // User whose connections have been loaded; until it is the current one, they are loading
+    const [connectionsLoadedFor, setConnectionsLoadedFor] = useState(null);
+    const [connectionsError, setConnectionsError] = useState('');
     const [selectedConnection, setSelectedConnection] = useState(null);
-    const [queryHistory, setQueryHistory] = useState([]);
+    // Bumped whenever history changes, so open history views reload
+    const [historyRevision, setHistoryRevision] = useState(0);
+    // Same for the saved query library
+    const [savedQueriesRevision, setSavedQueriesRevision] = useState(0);
 
     useEffect(() => {
-        if (user) {
-            // Load user's database connections
-            const userConnections = JSON.parse(
-                localStorage.getItem(`connections_${user.id}`) || '[]'
-            );
-            setConnections(userConnections);
-
-            // Load query history
-            const history = JSON.parse(
-                localStorage.getItem(`query_history_${user.id}`) || '[]'
-            );
-            setQueryHistory(history);
-        } else {
+        if (!user) return;
+
+        // Connection strings and query history used to be kept in localStorage; remove any leftovers
+        Object.keys(localStorage)
+            .filter(key => key.startsWith('connections_') || key.startsWith('query_history_'))
+            .forEach(key => localStorage.removeItem(key));
+
+        // Load user's database connections from the server
+        let cancelled = false;
+        connectionService.listConnections()
+            .then(userConnections => {
+                if (!cancelled) {
+                    setConnections(userConnections);
+                    setConnectionsError('');
+                }
+            })
+            .catch(error => {
+                if (!cancelled) setConnectionsError(error.message);
+            })
+            .finally(() => {
+                if (!cancelled) setConnectionsLoadedFor(user.id);
+            });
+
+        return () => {
+            cancelled = true;
+            // Signing out or switching users must not leave the previous user's connections behind
             setConnections([]);
             setSelectedConnection(null);
-            setQueryHistory([]);
-        }
-    }, [user]);
-
-    const addConnection = (connection) => {
-        const newConnection = {
-            id: Date.now().toString(),
-            ...connection,
-            createdAt: new Date().toISOString()
         };
+    }, [user]);
 
-        const updatedConnections = [...connections, newConnection];
-        setConnections(updatedConnections);
-        localStorage.setItem(
-            `connections_${user.id}`,
-            JSON.stringify(updatedConnections)
-        );
+    const connectionsLoading = Boolean(user) && connectionsLoadedFor !== user.id;
 
+    const addConnection = async (connection) => {
+        const newConnection = await connectionService.createConnection(connection);
+        setConnections(prev => [...prev, newConnection]);
         return newConnection;
     };
 
-    const updateConnection = (id, updates) => {
-        const updatedConnections = connections.map(conn =>
-            conn.id === id ? { ...conn, ...updates, updatedAt: new Date().toISOString() } : conn
-        );
-        setConnections(updatedConnections);
-        localStorage.setItem(
-            `connections_${user.id}`,
-            JSON.stringify(updatedConnections)
-        );
+    const updateConnection = async (id, updates) => {
+        const updatedConnection = await connectionService.updateConnection(id, updates);
+        setConnections(prev => prev.map(conn => conn.id === id ? updatedConnection : conn));
+        if (selectedConnection?.id === id) {
+            setSelectedConnection(updatedConnection);
+        }
+        return updatedConnection;
     };
 
-    const deleteConnection = (id) => {
-        const updatedConnections = connections.filter(conn => conn.id !== id);
-        setConnections(updatedConnections);
-        localStorage.setItem(
-            `connections_${user.id}`,
-            JSON.stringify(updatedConnections)
-        );
+    const deleteConnection = async (id) => {
+        await connectionService.deleteConnection(id);
+        setConnections(prev => prev.filter(conn => conn.id !== id));
+        // The server deletes the connection's history and saved queries with it
+        setHistoryRevision(revision => revision + 1);
+        setSavedQueriesRevision(revision => revision + 1);
 
         if (selectedConnection?.id === id) {
             setSelectedConnection(null);
@@ -82,39 +91,55 @@ export const DatabaseProvider = ({ children }) => {
         setSelectedConnection(connection);
     };
 
-    const addQueryToHistory = (query) => {
-        const newQuery = {
-            id: Date.now().toString(),
-            connectionId: selectedConnection?.id,
-            ...query,
-            createdAt: new Date().toISOString()
-        };
+    const addQueryToHistory = async (query) => {
+        try {
+            const entry = await queryHistoryService.addQueryHistoryEntry({
+                connectionId: selectedConnection?.id,
+                ...query
+            });
+            setHistoryRevision(revision => revision + 1);
+            return entry;
+        } catch (error) {
+            // Losing a history entry must not fail the query that was run
+            console.error('Failed to save query history:', error);
+            return null;
+        }
+    };
 
-        const updatedHistory = [newQuery, ...queryHistory].slice(0, 100); // Keep last 100 queries
-        setQueryHistory(updatedHistory);
-        localStorage.setItem(
-            `query_history_${user.id}`,
-            JSON.stringify(updatedHistory)
-        );
+    const clearQueryHistory = async (connectionId) => {
+        await queryHistoryService.clearQueryHistory(connectionId);
+        setHistoryRevision(revision => revision + 1);
+    };
 
-        return newQuery;
+    // Creates the saved query, or updates it when an ID is given
+    const saveQuery = async (fields, id) => {
+        const saved = id
+            ? await savedQueryService.updateSavedQuery(id, fields)
+            : await savedQueryService.createSavedQuery(fields);
+        setSavedQueriesRevision(revision => revision + 1);
+        return saved;
     };
 
-    const clearQueryHistory = () => {
-        setQueryHistory([]);
-        localStorage.setItem(`query_history_${user.id}`, JSON.stringify([]));
+    const deleteSavedQuery = async (id) => {
+        await savedQueryService.deleteSavedQuery(id);
+        setSavedQueriesRevision(revision => revision + 1);
     };
 
     const value = {
         connections,
+        connectionsLoading,
+        connectionsError,
         selectedConnection,
-        queryHistory,
+        historyRevision,
+        savedQueriesRevision,
         addConnection,
         updateConnection,
         deleteConnection,
         selectConnection,
         addQueryToHistory,
-        clearQueryHistory
+        clearQueryHistory,
+        saveQuery,
+        deleteSavedQuery
     };
 
     return <DatabaseContext.Provider value={value}>{children}</DatabaseContext.Provider>;
@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Kept apart from ChatSessionProvider so that module only exports components, which fast refresh needs
+export const ChatSessionContext = createContext(null);
+
+export const useChatSessions = () => {
+    const context = useContext(ChatSessionContext);
+    if (!context) {
+        throw new Error('useChatSessions must be used within a ChatSessionProvider');
+    }
+    return context;
+};
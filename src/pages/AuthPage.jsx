@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { Database, Mail, Lock, User } from 'lucide-react';
 
@@ -13,6 +13,7 @@ export default function AuthPage() {
 
     const { signIn, signUp } = useAuth();
     const navigate = useNavigate();
+    const location = useLocation();
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -28,7 +29,7 @@ export default function AuthPage() {
                 }
                 await signUp(email, password, name);
             }
-            navigate('/dashboard');
+            navigate(location.state?.from || '/dashboard', { replace: true });
         } catch (err) {
             setError(err.message);
         } finally {
@@ -149,9 +150,9 @@ export default function AuthPage() {
 
                 {/* Demo Credentials */}
                 <div className="demo-info">
-                    <p className="demo-title">Demo Mode</p>
+                    <p className="demo-title">New here?</p>
                     <p className="demo-text">
-                        This is a demo application. Create any account to get started!
+                        Create an account to get started. Passwords need at least 8 characters.
                     </p>
                 </div>
             </div>
@@ -1,19 +1,31 @@
-import { useState } from 'react';
+import { useState, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useDatabase } from '../contexts/DatabaseContext';
+import { useChatSessions } from '../contexts/useChatSessions';
 import DatabaseSidebar from '../components/DatabaseSidebar';
 import ChatInterface from '../components/ChatInterface';
-import { Database, LogOut, Menu, X } from 'lucide-react';
+import QueryHistoryPanel from '../components/QueryHistoryPanel';
+import SavedQueryLibrary from '../components/SavedQueryLibrary';
+import SchemaDiagram from '../components/SchemaDiagram';
+import { Database, LogOut, Menu, X, History, BookMarked, Network } from 'lucide-react';
 
 export default function Dashboard() {
     const { user, signOut } = useAuth();
     const { selectedConnection } = useDatabase();
+    const { chatKey, chatsLoading } = useChatSessions();
     const navigate = useNavigate();
     const [sidebarOpen, setSidebarOpen] = useState(true);
+    // Right-hand panel: 'history', 'library', 'diagram' or null
+    const [sidePanel, setSidePanel] = useState(null);
+    // Query of the message selected in the chat, highlighted in the diagram
+    const [selectedSql, setSelectedSql] = useState('');
+    const chatRef = useRef(null);
 
-    const handleSignOut = () => {
-        signOut();
+    const togglePanel = (panel) => setSidePanel(sidePanel === panel ? null : panel);
+
+    const handleSignOut = async () => {
+        await signOut();
         navigate('/');
     };
 
@@ -35,6 +47,28 @@ export default function Dashboard() {
                     <span className="header-subtitle">Natural language database queries</span>
                 </div>
                 <div className="header-right">
+                    <button
+                        className={`btn btn-ghost btn-icon ${sidePanel === 'diagram' ? 'active' : ''}`}
+                        onClick={() => togglePanel('diagram')}
+                        title="Schema diagram"
+                        disabled={!selectedConnection}
+                    >
+                        <Network className="icon" />
+                    </button>
+                    <button
+                        className={`btn btn-ghost btn-icon ${sidePanel === 'library' ? 'active' : ''}`}
+                        onClick={() => togglePanel('library')}
+                        title="Saved queries"
+                    >
+                        <BookMarked className="icon" />
+                    </button>
+                    <button
+                        className={`btn btn-ghost btn-icon ${sidePanel === 'history' ? 'active' : ''}`}
+                        onClick={() => togglePanel('history')}
+                        title="Query history"
+                    >
+                        <History className="icon" />
+                    </button>
                     <div className="user-info">
                         <div className="user-avatar">
                             {user?.name?.charAt(0).toUpperCase() || 'U'}
@@ -63,8 +97,17 @@ export default function Dashboard() {
 
                 {/* Main Area */}
                 <main className="dashboard-main">
-                    {selectedConnection ? (
-                        <ChatInterface />
+                    {selectedConnection && chatsLoading ? (
+                        <div className="empty-state">
+                            <div className="spinner" />
+                            <p className="empty-state-description">Loading chat...</p>
+                        </div>
+                    ) : selectedConnection ? (
+                        <ChatInterface
+                            key={`${selectedConnection.id}:${chatKey}`}
+                            ref={chatRef}
+                            onSelectedQueryChange={setSelectedSql}
+                        />
                     ) : (
                         <div className="empty-state">
                             <Database className="empty-state-icon" />
@@ -75,6 +118,31 @@ export default function Dashboard() {
                         </div>
                     )}
                 </main>
+
+                {sidePanel === 'diagram' && selectedConnection ? (
+                    <aside className="dashboard-history wide">
+                        <SchemaDiagram
+                            key={selectedConnection.id}
+                            onClose={() => setSidePanel(null)}
+                            selectedSql={selectedSql}
+                            onAskQuestion={(question) => chatRef.current?.askQuestion(question)}
+                        />
+                    </aside>
+                ) : sidePanel && sidePanel !== 'diagram' && (
+                    <aside className="dashboard-history">
+                        {sidePanel === 'history' ? (
+                            <QueryHistoryPanel
+                                onClose={() => setSidePanel(null)}
+                                onInsertQuery={(sql, options) => chatRef.current?.insertQuery(sql, options)}
+                            />
+                        ) : (
+                            <SavedQueryLibrary
+                                onClose={() => setSidePanel(null)}
+                                onRunQuery={(savedQuery, params) => chatRef.current?.runSavedQuery(savedQuery, params)}
+                            />
+                        )}
+                    </aside>
+                )}
             </div>
 
             <style>{`
@@ -191,6 +259,22 @@ export default function Dashboard() {
           flex-direction: column;
         }
 
+        .dashboard-history {
+          width: 400px;
+          background: var(--color-surface);
+          border-left: 1px solid var(--color-border);
+          overflow: hidden;
+        }
+
+        .dashboard-history.wide {
+          width: 640px;
+        }
+
+        .header-right .btn-icon.active {
+          background: var(--color-primary-alpha);
+          color: var(--color-primary);
+        }
+
         @media (max-width: 1024px) {
           .header-subtitle {
             display: none;
@@ -230,6 +314,16 @@ export default function Dashboard() {
           .dashboard-sidebar.closed {
             transform: translateX(-100%);
           }
+
+          .dashboard-history {
+            position: fixed;
+            top: 0;
+            right: 0;
+            width: 100%;
+            height: 100vh;
+            z-index: 100;
+            box-shadow: var(--shadow-xl);
+          }
         }
       `}</style>
         </div>
@@ -0,0 +1,56 @@
+/**
+ * API Client
+ *
+ * Shared fetch wrapper for the backend. Sends the session cookie with every
+ * request and announces expired sessions so the auth state can be cleared.
+ */
+
+export const API_URL = import.meta.env.VITE_DB_PROXY_URL || 'http://localhost:3001/api';
+
+export const UNAUTHORIZED_EVENT = 'auth:unauthorized';
+
+/**
+ * fetch() against the backend with credentials included
+ * @param {string} path - Path below API_URL, e.g. '/query'
+ * @param {object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+export async function apiFetch(path, options = {}) {
+    const response = await fetch(`${API_URL}${path}`, {
+        credentials: 'include',
+        ...options,
+    });
+
+    if (response.status === 401 && !path.startsWith('/auth/')) {
+        window.dispatchEvent(new Event(UNAUTHORIZED_EVENT));
+    }
+
+    return response;
+}
+
+/**
+ * Send a JSON request and return the parsed response body
+ * @param {string} path - API path
+ * @param {object} options - { method, body }
+ * @param {string} fallbackError - Message if the server gives none
+ * @returns {Promise<object>}
+ */
+export async function apiRequest(path, { method = 'GET', body } = {}, fallbackError) {
+    try {
+        const response = await apiFetch(path, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined,
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || fallbackError);
+        }
+
+        return data;
+    } catch (error) {
+        throw new Error(error.message || fallbackError);
+    }
+}
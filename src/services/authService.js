@@ -0,0 +1,89 @@
+/**
+ * Auth Service
+ *
+ * Session-cookie authentication against the backend.
+ */
+
+import { apiFetch } from './apiClient';
+
+/**
+ * POST JSON to an auth endpoint and return the user from the response
+ * @param {string} path - Auth endpoint path
+ * @param {object} body - Request body
+ * @param {string} fallbackError - Message if the server gives none
+ * @returns {Promise<object>} - User
+ */
+async function postAuth(path, body, fallbackError) {
+    try {
+        const response = await apiFetch(path, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || fallbackError);
+        }
+
+        return data.user;
+    } catch (error) {
+        throw new Error(error.message || fallbackError);
+    }
+}
+
+/**
+ * Sign in with email and password
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Promise<object>} - Signed-in user
+ */
+export function signIn(email, password) {
+    return postAuth('/auth/login', { email, password }, 'Invalid email or password');
+}
+
+/**
+ * Create an account and sign in
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @param {string} name - Display name
+ * @returns {Promise<object>} - New user
+ */
+export function signUp(email, password, name) {
+    return postAuth('/auth/signup', { email, password, name }, 'Sign up failed');
+}
+
+/**
+ * End the current session
+ * @returns {Promise<void>}
+ */
+export async function signOut() {
+    try {
+        await apiFetch('/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.warn('Failed to sign out:', error);
+    }
+}
+
+/**
+ * Get the user for the current session cookie
+ * @returns {Promise<object|null>} - User, or null when not signed in
+ */
+export async function getCurrentUser() {
+    try {
+        const response = await apiFetch('/auth/me');
+
+        if (!response.ok) {
+            return null;
+        }
+
+        const data = await response.json();
+        return data.user;
+    } catch (error) {
+        console.warn('Failed to load session:', error);
+        return null;
+    }
+}
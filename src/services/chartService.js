@@ -0,0 +1,201 @@
+/**
+ * Chart Service
+ *
+ * Looks at a query result to decide whether and how it can be charted, and
+ * turns rows into chart data for the chosen axes and aggregation.
+ */
+
+export const CHART_TYPES = ['bar', 'line', 'pie', 'scatter', 'timeseries'];
+
+export const AGGREGATIONS = ['none', 'sum', 'avg', 'count', 'min', 'max'];
+
+// Beyond this, bar and pie charts stop being readable
+const MAX_CATEGORIES = { bar: 50, pie: 10 };
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    // PostgreSQL returns NUMERIC and BIGINT as strings
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+    return null;
+};
+
+const toTime = (value) => {
+    if (typeof value !== 'string' || !ISO_DATE.test(value)) return null;
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Classify each column as 'number', 'date', 'category' or 'other' from its values
+ * @param {Array} columns - Column names
+ * @param {Array} rows - Result rows
+ * @returns {object} - Column name to type
+ */
+export function inferColumnTypes(columns, rows) {
+    return Object.fromEntries(columns.map(col => {
+        const values = rows.map(row => row[col]).filter(v => v !== null && v !== undefined);
+
+        if (values.length === 0) return [col, 'other'];
+        if (values.every(v => toNumber(v) !== null)) return [col, 'number'];
+        if (values.every(v => toTime(v) !== null)) return [col, 'date'];
+        if (values.every(v => typeof v === 'string' || typeof v === 'boolean')) return [col, 'category'];
+        return [col, 'other'];
+    }));
+}
+
+/**
+ * Suggest chart settings for a result, starting from the AI's suggestion if it fits
+ * @param {Array} columns - Column names
+ * @param {Array} rows - Result rows
+ * @param {object} hint - Suggestion from query generation ({ type, x, y }), optional
+ * @returns {object|null} - { type, x, y, aggregation }, or null if the result cannot be charted
+ */
+export function suggestChart(columns, rows, hint = null) {
+    if (!rows?.length || !columns?.length) return null;
+
+    const types = inferColumnTypes(columns, rows);
+    const numbers = columns.filter(col => types[col] === 'number');
+    const dates = columns.filter(col => types[col] === 'date');
+    const categories = columns.filter(col => types[col] === 'category');
+
+    if (hint && CHART_TYPES.includes(hint.type)) {
+        const fromHint = completeSettings({ type: hint.type, x: hint.x, y: hint.y }, columns, types);
+        if (fromHint) return fromHint;
+    }
+
+    if (dates.length && numbers.length) {
+        return { type: 'timeseries', x: dates[0], y: numbers[0], aggregation: 'sum' };
+    }
+    if (categories.length && numbers.length) {
+        const distinct = new Set(rows.map(row => row[categories[0]])).size;
+        const type = numbers.length === 1 && distinct <= 6 ? 'pie' : 'bar';
+        return { type, x: categories[0], y: numbers[0], aggregation: 'sum' };
+    }
+    if (numbers.length >= 2) {
+        return { type: 'scatter', x: numbers[0], y: numbers[1], aggregation: 'none' };
+    }
+    if (categories.length) {
+        return { type: 'bar', x: categories[0], y: null, aggregation: 'count' };
+    }
+    if (dates.length) {
+        return { type: 'timeseries', x: dates[0], y: null, aggregation: 'count' };
+    }
+    return null;
+}
+
+/**
+ * Fill in axes and aggregation the settings leave open. Returns null when the
+ * chart type cannot be drawn from these columns.
+ */
+export function completeSettings(settings, columns, types) {
+    const { type } = settings;
+    const has = (col) => col && columns.includes(col);
+    const firstOf = (...kinds) => columns.find(col => kinds.includes(types[col]));
+
+    let x = has(settings.x) ? settings.x : null;
+    let y = has(settings.y) ? settings.y : null;
+
+    if (type === 'scatter') {
+        x = x && types[x] === 'number' ? x : firstOf('number');
+        y = y && types[y] === 'number' && y !== x ? y : columns.find(col => types[col] === 'number' && col !== x);
+        return x && y ? { type, x, y, aggregation: 'none' } : null;
+    }
+
+    if (type === 'timeseries') {
+        x = x && types[x] === 'date' ? x : firstOf('date');
+        if (!x) return null;
+    } else {
+        x = x || firstOf('category', 'date') || firstOf('number');
+        if (!x) return null;
+    }
+
+    y = y && types[y] === 'number' ? y : columns.find(col => types[col] === 'number' && col !== x) || null;
+    const aggregation = AGGREGATIONS.includes(settings.aggregation)
+        ? settings.aggregation
+        : (y ? 'sum' : 'count');
+
+    // Without a numeric value column, all that can be shown is how many rows each x has
+    return { type, x, y, aggregation: y ? aggregation : 'count' };
+}
+
+const aggregate = (values, aggregation) => {
+    switch (aggregation) {
+        case 'count':
+            return values.length;
+        case 'avg':
+            return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+        case 'min':
+            return Math.min(...values);
+        case 'max':
+            return Math.max(...values);
+        default:
+            return values.reduce((a, b) => a + b, 0);
+    }
+};
+
+const labelOf = (value) => {
+    if (value === null || value === undefined) return '(null)';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Turn rows into points for the chart
+ * @param {Array} rows - Result rows
+ * @param {object} settings - { type, x, y, aggregation } from suggestChart/completeSettings
+ * @returns {object} - { data: [{ x, y }], truncated } where truncated says categories were left out
+ */
+export function buildChartData(rows, settings) {
+    const { type, x, y, aggregation } = settings;
+
+    if (type === 'scatter') {
+        const data = rows
+            .map(row => ({ x: toNumber(row[x]), y: toNumber(row[y]) }))
+            .filter(point => point.x !== null && point.y !== null);
+        return { data, truncated: false };
+    }
+
+    const valueOf = (row) => aggregation === 'count' ? 1 : toNumber(row[y]);
+
+    if (aggregation === 'none') {
+        let data = rows.map(row => ({
+            x: type === 'timeseries' ? toTime(row[x]) : labelOf(row[x]),
+            y: valueOf(row)
+        })).filter(point => point.x !== null && point.y !== null);
+
+        if (type === 'timeseries') data.sort((a, b) => a.x - b.x);
+        return limitCategories(data, type);
+    }
+
+    const groups = new Map();
+    for (const row of rows) {
+        const key = type === 'timeseries' ? toTime(row[x]) : labelOf(row[x]);
+        const value = valueOf(row);
+        if (key === null || value === null) continue;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(value);
+    }
+
+    let data = [...groups].map(([key, values]) => ({ x: key, y: aggregate(values, aggregation) }));
+
+    if (type === 'timeseries') {
+        data.sort((a, b) => a.x - b.x);
+    } else if (type === 'bar' || type === 'pie') {
+        data.sort((a, b) => b.y - a.y);
+    }
+
+    return limitCategories(data, type);
+}
+
+const limitCategories = (data, type) => {
+    const max = MAX_CATEGORIES[type];
+    if (!max || data.length <= max) return { data, truncated: false };
+
+    if (type === 'pie') {
+        // Keep the largest slices and fold the rest into one
+        const rest = data.slice(max - 1).reduce((sum, point) => sum + point.y, 0);
+        return { data: [...data.slice(0, max - 1), { x: 'Other', y: rest }], truncated: false };
+    }
+    return { data: data.slice(0, max), truncated: true };
+};
@@ -0,0 +1,105 @@
+/**
+ * Chat Session Service
+ *
+ * Conversations saved on the server per connection. Query results are stored
+ * as a bounded snapshot, so a resumed chat shows the first rows of each
+ * result and the query can be run again for the rest.
+ */
+
+import { apiRequest } from './apiClient';
+
+// Matches the server's snapshot size; trimming here keeps the requests small
+const SNAPSHOT_ROWS = 50;
+
+// UI state that means nothing once the chat is reloaded
+const TRANSIENT_FIELDS = ['queryId', 'cancelling', 'loadingMore', 'loadMoreError'];
+
+/**
+ * Strip transient state and trim results before a chat is saved
+ * @param {Array} messages - Chat messages
+ * @returns {Array} - Messages to store
+ */
+function toSnapshot(messages) {
+    return messages
+        .filter(msg => msg.id !== 'welcome')
+        .map(msg => {
+            const stored = { ...msg };
+            TRANSIENT_FIELDS.forEach(field => delete stored[field]);
+            if (stored.result?.rows) {
+                stored.result = {
+                    ...stored.result,
+                    rows: stored.result.rows.slice(0, SNAPSHOT_ROWS),
+                    hasMore: stored.result.hasMore || stored.result.rows.length > SNAPSHOT_ROWS,
+                    cursorId: undefined
+                };
+            }
+            return stored;
+        });
+}
+
+/**
+ * List the chats saved for a connection, most recent first
+ * @param {string} connectionId - Connection ID
+ * @returns {Promise<Array>} - Chat summaries ({ id, name, messageCount, updatedAt, ... })
+ */
+export async function listChatSessions(connectionId) {
+    const data = await apiRequest(`/chat-sessions?connectionId=${encodeURIComponent(connectionId)}`, {}, 'Failed to load chats');
+    return data.sessions;
+}
+
+/**
+ * Load a chat with its messages
+ * @param {string} id - Chat ID
+ * @returns {Promise<object>} - Chat with messages
+ */
+export async function getChatSession(id) {
+    const data = await apiRequest(`/chat-sessions/${encodeURIComponent(id)}`, {}, 'Failed to load chat');
+    return data.session;
+}
+
+/**
+ * Start a chat
+ * @param {object} session - { connectionId, name, messages }
+ * @returns {Promise<object>} - Created chat
+ */
+export async function createChatSession({ connectionId, name, messages = [] }) {
+    const data = await apiRequest('/chat-sessions', {
+        method: 'POST',
+        body: { connectionId, name, messages: toSnapshot(messages) }
+    }, 'Failed to create chat');
+    return data.session;
+}
+
+/**
+ * Rename a chat
+ * @param {string} id - Chat ID
+ * @param {string} name - New name
+ * @returns {Promise<object>} - Chat summary
+ */
+export async function renameChatSession(id, name) {
+    const data = await apiRequest(`/chat-sessions/${encodeURIComponent(id)}`, { method: 'PATCH', body: { name } }, 'Failed to rename chat');
+    return data.session;
+}
+
+/**
+ * Save a chat's messages
+ * @param {string} id - Chat ID
+ * @param {Array} messages - Chat messages
+ * @returns {Promise<object>} - Chat summary
+ */
+export async function saveChatMessages(id, messages) {
+    const data = await apiRequest(`/chat-sessions/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        body: { messages: toSnapshot(messages) }
+    }, 'Failed to save chat');
+    return data.session;
+}
+
+/**
+ * Delete a chat
+ * @param {string} id - Chat ID
+ * @returns {Promise<void>}
+ */
+export async function deleteChatSession(id) {
+    await apiRequest(`/chat-sessions/${encodeURIComponent(id)}`, { method: 'DELETE' }, 'Failed to delete chat');
+}
@@ -0,0 +1,48 @@
+/**
+ * Connection Service
+ *
+ * CRUD for saved database connections. Connection strings are stored
+ * encrypted on the server; the client only ever sees IDs and a redacted
+ * display string.
+ */
+
+import { apiRequest } from './apiClient';
+
+/**
+ * List the current user's connections
+ * @returns {Promise<Array>} - Connections ({ id, name, dbType, llm, displayString, ... })
+ */
+export async function listConnections() {
+    const data = await apiRequest('/connections', {}, 'Failed to load connections');
+    return data.connections;
+}
+
+/**
+ * Save a new connection
+ * @param {object} connection - { name, connectionString, dbType, llm }
+ * @returns {Promise<object>} - Saved connection
+ */
+export async function createConnection(connection) {
+    const data = await apiRequest('/connections', { method: 'POST', body: connection }, 'Failed to save connection');
+    return data.connection;
+}
+
+/**
+ * Update a saved connection
+ * @param {string} id - Connection ID
+ * @param {object} updates - Any of { name, connectionString, dbType, llm }
+ * @returns {Promise<object>} - Updated connection
+ */
+export async function updateConnection(id, updates) {
+    const data = await apiRequest(`/connections/${encodeURIComponent(id)}`, { method: 'PATCH', body: updates }, 'Failed to update connection');
+    return data.connection;
+}
+
+/**
+ * Delete a saved connection
+ * @param {string} id - Connection ID
+ * @returns {Promise<void>}
+ */
+export async function deleteConnection(id) {
+    await apiRequest(`/connections/${encodeURIComponent(id)}`, { method: 'DELETE' }, 'Failed to delete connection');
+}
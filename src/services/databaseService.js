@@ -1,10 +1,11 @@
 /**
  * Database Service
  * 
- * Connects to the backend proxy to execute real PostgreSQL queries.
+ * Connects to the backend proxy to execute real database queries and
+ * to generate, explain and optimize queries with AI.
  */
 
-const API_URL = import.meta.env.VITE_DB_PROXY_URL || 'http://localhost:3001/api';
+import { API_URL, apiFetch } from './apiClient';
 
 /**
  * Test database connection
@@ -13,7 +14,7 @@ const API_URL = import.meta.env.VITE_DB_PROXY_URL || 'http://localhost:3001/api'
  */
 export async function testConnection(connectionString) {
     try {
-        const response = await fetch(`${API_URL}/test-connection`, {
+        const response = await apiFetch('/test-connection', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -35,47 +36,292 @@ export async function testConnection(connectionString) {
 
 /**
  * Execute SQL query
- * @param {string} connectionString - Database connection string
+ * @param {string} connectionId - ID of the saved connection
  * @param {string} sqlQuery - SQL query to execute
- * @param {string} dbType - Database type ('postgres', 'mysql', 'mongodb')
+ * @param {object} options - { queryId } to be able to cancel the query while it runs;
+ *   { savedQueryId, params } runs a saved query with its parameter values instead of sqlQuery
  * @returns {Promise<object>} - Query results
  */
-export async function executeQuery(connectionString, sqlQuery, dbType = null) {
+export async function executeQuery(connectionId, sqlQuery, { queryId, savedQueryId, params } = {}) {
+    let data;
+    let response;
+
     try {
-        const response = await fetch(`${API_URL}/query`, {
+        response = await apiFetch('/query', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ connectionString, query: sqlQuery, dbType }),
+            body: JSON.stringify({ connectionId, query: sqlQuery, queryId, savedQueryId, params }),
+        });
+
+        data = await response.json();
+    } catch (error) {
+        throw new Error(error.message || 'Failed to execute query');
+    }
+
+    if (!response.ok) {
+        // Keep the server's error code so callers can tell a cancel from a failure
+        const error = new Error(data.error || 'Query execution failed');
+        error.code = data.errorCode;
+        error.databaseError = data.databaseError;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Cancel a running query
+ * @param {string} queryId - ID passed to executeQuery
+ * @returns {Promise<object>}
+ */
+export async function cancelQuery(queryId) {
+    try {
+        const response = await apiFetch(`/query/${encodeURIComponent(queryId)}/cancel`, {
+            method: 'POST',
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to cancel query');
+        }
+
+        return data;
+    } catch (error) {
+        throw new Error(error.message || 'Failed to cancel query');
+    }
+}
+
+/**
+ * Fetch the next page of a streamed query result
+ * @param {string} cursorId - Cursor ID from the previous page
+ * @returns {Promise<object>} - { rows, columns, rowCount, hasMore, cursorId }
+ */
+export async function fetchMoreRows(cursorId) {
+    try {
+        const response = await apiFetch(`/query/${encodeURIComponent(cursorId)}/next`, {
+            method: 'POST',
         });
 
         const data = await response.json();
 
         if (!response.ok) {
-            throw new Error(data.error || 'Query execution failed');
+            throw new Error(data.error || 'Failed to load more rows');
         }
 
         return data;
+    } catch (error) {
+        throw new Error(error.message || 'Failed to load more rows');
+    }
+}
+
+/**
+ * Start a transaction on a connection of its own. Its queries run with
+ * executeInTransaction until it is committed or rolled back; the server
+ * rolls it back after a few idle minutes.
+ * @param {string} connectionId - ID of the saved connection
+ * @returns {Promise<object>} - { id, connectionId, startedAt, expiresAt, statementCount }
+ */
+export async function beginTransaction(connectionId) {
+    try {
+        const response = await apiFetch('/tx/begin', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ connectionId }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to begin transaction');
+        }
+
+        return data.transaction;
+    } catch (error) {
+        throw new Error(error.message || 'Failed to begin transaction');
+    }
+}
+
+/**
+ * Get the transaction open on a connection, if any
+ * @param {string} connectionId - ID of the saved connection
+ * @returns {Promise<object|null>} - { id, connectionId, startedAt, expiresAt, statementCount }
+ */
+export async function getOpenTransaction(connectionId) {
+    try {
+        const response = await apiFetch(`/tx?connectionId=${encodeURIComponent(connectionId)}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            console.warn('Failed to fetch open transaction:', data.error);
+            return null;
+        }
+
+        return data.transaction;
+    } catch (error) {
+        console.warn('Failed to fetch open transaction:', error);
+        return null;
+    }
+}
+
+/**
+ * Execute a query inside an open transaction. Results are capped at the
+ * row limit rather than streamed.
+ * @param {string} transactionId - ID from beginTransaction
+ * @param {string} sqlQuery - SQL query to execute
+ * @param {object} options - { queryId, savedQueryId, params } as for executeQuery
+ * @returns {Promise<object>} - Query results, with the updated transaction as `transaction`
+ */
+export async function executeInTransaction(transactionId, sqlQuery, { queryId, savedQueryId, params } = {}) {
+    let data;
+    let response;
+
+    try {
+        response = await apiFetch(`/tx/${encodeURIComponent(transactionId)}/query`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ query: sqlQuery, queryId, savedQueryId, params }),
+        });
+
+        data = await response.json();
     } catch (error) {
         throw new Error(error.message || 'Failed to execute query');
     }
+
+    if (!response.ok) {
+        // TRANSACTION_NOT_FOUND tells the caller the transaction has expired
+        const error = new Error(data.error || 'Query execution failed');
+        error.code = data.errorCode;
+        error.databaseError = data.databaseError;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Commit or roll back an open transaction
+ * @param {string} transactionId - ID from beginTransaction
+ * @param {boolean} commit - false to roll back
+ * @returns {Promise<object>} - The transaction as it was when it ended
+ */
+export async function endTransaction(transactionId, commit) {
+    let data;
+    let response;
+
+    try {
+        response = await apiFetch(`/tx/${encodeURIComponent(transactionId)}/${commit ? 'commit' : 'rollback'}`, {
+            method: 'POST',
+        });
+
+        data = await response.json();
+    } catch (error) {
+        throw new Error(error.message || `Failed to ${commit ? 'commit' : 'roll back'} transaction`);
+    }
+
+    if (!response.ok) {
+        // TRANSACTION_CONFLICT means it is still open, busy with a query
+        const error = new Error(data.error || `Failed to ${commit ? 'commit' : 'roll back'} transaction`);
+        error.code = data.errorCode;
+        throw error;
+    }
+
+    return data.transaction;
+}
+
+/**
+ * Dry-run an UPDATE or DELETE (or a MongoDB update or delete) without changing anything
+ * @param {string} connectionId - ID of the saved connection
+ * @param {string} sqlQuery - Write query to preview
+ * @returns {Promise<object>} - { supported, operation, table, affectedRows, sample: { columns, rows } },
+ *   or { supported: false, reason } when the query cannot be previewed
+ */
+export async function previewWrite(connectionId, sqlQuery) {
+    try {
+        const response = await apiFetch('/query/preview', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ connectionId, query: sqlQuery }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to preview query');
+        }
+
+        return data;
+    } catch (error) {
+        throw new Error(error.message || 'Failed to preview query');
+    }
+}
+
+/**
+ * Export the full result of a query and save it as a file.
+ * The server re-runs the query and reads its first rows, then the browser
+ * downloads every row as a native download: streamed to disk, with the
+ * browser's own progress and cancel, instead of held in memory first.
+ * @param {string} connectionId - ID of the saved connection
+ * @param {string} sqlQuery - Read query to export
+ * @param {string} format - csv, tsv, json, ndjson, xlsx or parquet
+ * @param {object} options - { savedQueryId, params } exports a saved query run instead of sqlQuery;
+ *   { queryId } lets cancelQuery stop it until the download starts
+ * @returns {Promise<void>} - Resolves once the download has started
+ */
+export async function exportQueryResult(connectionId, sqlQuery, format, { savedQueryId, params, queryId } = {}) {
+    let data;
+    let response;
+
+    try {
+        response = await apiFetch('/export', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ connectionId, query: sqlQuery, format, savedQueryId, params, queryId, download: true }),
+        });
+
+        data = await response.json();
+    } catch (error) {
+        throw new Error(error.message || 'Export failed');
+    }
+
+    if (!response.ok) {
+        // CANCELLED tells the caller the export was stopped with cancelQuery
+        const error = new Error(data.error || 'Export failed');
+        error.code = data.errorCode;
+        throw error;
+    }
+
+    // The file is an attachment, so following the link downloads it without leaving the page
+    const link = document.createElement('a');
+    link.href = `${API_URL}${data.downloadPath}`;
+    link.click();
 }
 
 /**
  * Get database schema
- * @param {string} connectionString - Database connection string
- * @param {string} dbType - Database type ('postgres', 'mysql', 'mongodb')
- * @returns {Promise<object>} - Database schema
+ * @param {string} connectionId - ID of the saved connection
+ * @returns {Promise<object>} - { tables, relationships, constraints, tableComments, schemas }, or null when it cannot be read.
+ *   Every table is listed; selectRelevantSchema picks those worth sending with a question.
+ *   schemas is [{ name, included }] for PostgreSQL and MySQL, whose table names are schema-qualified, and null otherwise
  */
-export async function getDatabaseSchema(connectionString, dbType = null) {
+export async function getDatabaseSchema(connectionId) {
     try {
-        const response = await fetch(`${API_URL}/schema`, {
+        const response = await apiFetch('/schema', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ connectionString, dbType }),
+            body: JSON.stringify({ connectionId }),
         });
 
         const data = await response.json();
@@ -85,13 +331,185 @@ export async function getDatabaseSchema(connectionString, dbType = null) {
             return null;
         }
 
-        return data.tables;
+        return {
+            tables: data.tables,
+            relationships: data.relationships || [],
+            constraints: data.constraints || {},
+            tableComments: data.tableComments || {},
+            schemas: data.schemas || null
+        };
     } catch (error) {
         console.warn('Failed to fetch schema:', error);
         return null;
     }
 }
 
+/**
+ * List the LLM providers the server can use
+ * @returns {Promise<Array>} - Provider summaries ({ name, label, configured, isDefault, defaultModels })
+ */
+export async function getLLMProviders() {
+    try {
+        const response = await apiFetch('/llm/providers');
+        const data = await response.json();
+
+        if (!response.ok) {
+            console.warn('Failed to fetch LLM providers:', data.error);
+            return [];
+        }
+
+        return data.providers;
+    } catch (error) {
+        console.warn('Failed to fetch LLM providers:', error);
+        return [];
+    }
+}
+
+/**
+ * Reduce chat messages to the fields the AI prompt needs
+ * @param {Array} messages - Chat messages
+ * @returns {Array} - Messages without result rows
+ */
+function toConversationHistory(messages = []) {
+    return messages
+        .filter(msg => msg.role === 'user' || msg.role === 'assistant')
+        .map(msg => ({
+            role: msg.role,
+            content: msg.content,
+            sql: msg.sql,
+            result: msg.result ? { rowCount: msg.result.rowCount } : undefined
+        }));
+}
+
+/**
+ * Convert natural language question to a database query using the server's AI
+ * @param {string} question - Natural language question
+ * @param {object} schema - Database schema information (optional)
+ * @param {string} dbType - Database type ('postgres', 'mysql', 'sqlite', 'duckdb', 'mssql', 'mongodb')
+ * @param {object} options - Additional options including conversationHistory and llm ({ provider, model })
+ * @returns {Promise<object>} - Generated query with metadata
+ */
+export async function generateSQLQuery(question, schema = null, dbType = 'postgres', options = {}) {
+    try {
+        const response = await apiFetch('/generate', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                question,
+                schema,
+                dbType,
+                conversationHistory: toConversationHistory(options.conversationHistory),
+                llm: options.llm
+            }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Query generation failed');
+        }
+
+        return data;
+    } catch (error) {
+        throw new Error(error.message || 'Failed to generate query');
+    }
+}
+
+/**
+ * Explain a database query in natural language
+ * @param {string} query - Query to explain
+ * @param {string} dbType - Database type ('postgres', 'mysql', 'sqlite', 'duckdb', 'mssql', 'mongodb')
+ * @param {object} llm - LLM provider and model ({ provider, model }) for this connection
+ * @returns {Promise<string>} - Natural language explanation
+ */
+export async function explainSQLQuery(query, dbType = 'postgres', llm = null) {
+    try {
+        const response = await apiFetch('/explain', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ query, dbType, llm }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to explain query');
+        }
+
+        return data.explanation;
+    } catch (error) {
+        throw new Error(error.message || 'Failed to explain query');
+    }
+}
+
+/**
+ * Ask the AI to repair a query the database rejected
+ * @param {string} query - Failed query
+ * @param {object} failure - { errorCode, error, databaseError } from executeQuery, plus
+ *   previousAttempts ([{ query, error }]) when earlier fixes failed as well
+ * @param {object} schema - Database schema
+ * @param {string} dbType - Database type
+ * @param {object} llm - LLM provider and model ({ provider, model }) for this connection
+ * @returns {Promise<object>} - { query, explanation, validation, analysis }
+ */
+export async function fixSQLQuery(query, failure, schema = null, dbType = 'postgres', llm = null) {
+    try {
+        const response = await apiFetch('/fix', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ query, ...failure, schema, dbType, llm }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to fix query');
+        }
+
+        return data;
+    } catch (error) {
+        throw new Error(error.message || 'Failed to fix query');
+    }
+}
+
+/**
+ * Suggest optimizations for a SQL query
+ * @param {string} sqlQuery - SQL query to optimize
+ * @param {object} llm - LLM provider and model ({ provider, model }) for this connection
+ * @returns {Promise<object>} - Optimization suggestions
+ */
+export async function suggestOptimizations(sqlQuery, llm = null) {
+    try {
+        const response = await apiFetch('/optimize', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ query: sqlQuery, llm }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to suggest optimizations');
+        }
+
+        return {
+            optimizedQuery: data.optimizedQuery,
+            improvements: data.improvements,
+            explanation: data.explanation
+        };
+    } catch (error) {
+        throw new Error(error.message || 'Failed to suggest optimizations');
+    }
+}
+
 /**
  * Format connection string for display (hide password)
  * @param {string} connectionString - Database connection string
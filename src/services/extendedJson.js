@@ -0,0 +1,88 @@
+/**
+ * Extended JSON
+ *
+ * MongoDB results arrive as canonical Extended JSON, where every BSON value
+ * keeps its type: {"$oid": ...} for an ObjectId, {"$date": ...} for a date,
+ * {"$numberInt": "5"} for an int, and so on. Cells show them as the mongo
+ * shell would (ObjectId("..."), ISODate("..."), NumberDecimal("...")), and
+ * charts get them back as plain numbers, strings and ISO dates.
+ */
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Canonical dates are {"$numberLong": "<ms>"}; relaxed ones an ISO string
+const dateOf = (value) => {
+    const time = isObject(value) ? Number(value.$numberLong) : Date.parse(value);
+    return Number.isNaN(time) ? String(value) : new Date(time).toISOString();
+};
+
+// Each type wrapper with its shell notation and its plain value
+const WRAPPERS = {
+    $oid: { shell: (v) => `ObjectId("${v}")`, plain: (v) => v },
+    $date: { shell: (v) => `ISODate("${dateOf(v)}")`, plain: dateOf },
+    $numberInt: { shell: (v) => v, plain: Number },
+    $numberDouble: { shell: (v) => v, plain: Number },
+    $numberLong: { shell: (v) => `NumberLong("${v}")`, plain: (v) => Number.isSafeInteger(Number(v)) ? Number(v) : v },
+    // Kept as a string so no digits are lost; charts read numeric strings as numbers
+    $numberDecimal: { shell: (v) => `NumberDecimal("${v}")`, plain: (v) => v },
+    $binary: { shell: (v) => `BinData(${parseInt(v.subType, 16)}, "${v.base64}")`, plain: (v) => v.base64 },
+    $regularExpression: { shell: (v) => `/${v.pattern}/${v.options}`, plain: (v) => `/${v.pattern}/${v.options}` },
+    $timestamp: { shell: (v) => `Timestamp(${v.t}, ${v.i})`, plain: (v) => `Timestamp(${v.t}, ${v.i})` },
+    $symbol: { shell: (v) => v, plain: (v) => v },
+    $code: { shell: (v) => v, plain: (v) => v },
+    $minKey: { shell: () => 'MinKey', plain: () => 'MinKey' },
+    $maxKey: { shell: () => 'MaxKey', plain: () => 'MaxKey' },
+    $undefined: { shell: () => 'undefined', plain: () => null },
+};
+
+// The wrapper a value is, if any: an object whose only key is a type key ($code may come with $scope)
+const wrapperOf = (value) => {
+    if (!isObject(value)) return null;
+    const keys = Object.keys(value).filter(key => key !== '$scope' || !('$code' in value));
+    return keys.length === 1 && Object.hasOwn(WRAPPERS, keys[0]) ? keys[0] : null;
+};
+
+/**
+ * Turn Extended JSON back into plain values
+ * @param {*} value - A value from a MongoDB result
+ * @returns {*} - Numbers as numbers, dates as ISO strings, ObjectIds as hex strings
+ */
+export function fromExtendedJson(value) {
+    const wrapper = wrapperOf(value);
+    if (wrapper) return WRAPPERS[wrapper].plain(value[wrapper]);
+    if (Array.isArray(value)) return value.map(fromExtendedJson);
+    if (isObject(value)) return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, fromExtendedJson(v)]));
+    return value;
+}
+
+/**
+ * Text for a value, with BSON types written in shell notation. Values without
+ * any Extended JSON come out exactly as JSON.stringify writes them.
+ * @param {*} value - A value from a query result
+ * @returns {string}
+ */
+export function formatExtendedJson(value) {
+    const wrapper = wrapperOf(value);
+    if (wrapper) return String(WRAPPERS[wrapper].shell(value[wrapper]));
+    if (Array.isArray(value)) return `[${value.map(formatExtendedJson).join(',')}]`;
+    if (isObject(value)) {
+        return `{${Object.entries(value).map(([key, v]) => `${JSON.stringify(key)}:${formatExtendedJson(v)}`).join(',')}}`;
+    }
+    return value === undefined ? 'null' : JSON.stringify(value);
+}
+
+// Plain copies of MongoDB results, made once per result object
+const plainResults = new WeakMap();
+
+/**
+ * A result as charts need it: for MongoDB, rows with plain values instead of Extended JSON
+ * @param {object} result - Query result ({ columns, rows, dbType })
+ * @returns {object}
+ */
+export function plainResult(result) {
+    if (result?.dbType !== 'mongodb' || !Array.isArray(result.rows)) return result;
+    if (!plainResults.has(result)) {
+        plainResults.set(result, { ...result, rows: result.rows.map(fromExtendedJson) });
+    }
+    return plainResults.get(result);
+}
@@ -0,0 +1,66 @@
+/**
+ * Query Diff
+ *
+ * Word-level diff between two versions of a query, used to show what an AI
+ * fix changed. Queries are often a single line, so words rather than lines
+ * are compared; whitespace is kept so the diff reads like the query.
+ */
+
+// Above this many word pairs the comparison would be slow; show a full replacement instead
+const MAX_COMPARISONS = 250000;
+
+const tokenize = (text) => text.match(/\s+|[A-Za-z0-9_$.]+|[^\sA-Za-z0-9_$.]/g) || [];
+
+/**
+ * Diff two queries
+ * @param {string} before - Original query
+ * @param {string} after - Changed query
+ * @returns {Array} - [{ type: 'same' | 'added' | 'removed', text }] in reading order
+ */
+export function diffQueries(before, after) {
+    const a = tokenize(before || '');
+    const b = tokenize(after || '');
+
+    if (a.length * b.length > MAX_COMPARISONS) {
+        return [
+            { type: 'removed', text: before },
+            { type: 'added', text: after }
+        ].filter(part => part.text);
+    }
+
+    // Longest common subsequence lengths, filled from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last?.type === type) {
+            last.text += text;
+        } else {
+            parts.push({ type, text });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('same', a[i]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return parts;
+}
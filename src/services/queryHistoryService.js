@@ -0,0 +1,43 @@
+/**
+ * Query History Service
+ *
+ * Every query run is recorded on the server, so history is searchable across
+ * devices and is not limited to what fits in the browser.
+ */
+
+import { apiRequest } from './apiClient';
+
+/**
+ * Search the history, newest first
+ * @param {object} filters - { connectionId, status, from, to, search, limit, offset }
+ * @returns {Promise<object>} - { entries, total }
+ */
+export async function listQueryHistory(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') params.set(key, value);
+    });
+
+    const data = await apiRequest(`/query-history?${params}`, {}, 'Failed to load query history');
+    return { entries: data.entries, total: data.total };
+}
+
+/**
+ * Record a query run
+ * @param {object} entry - { connectionId, query, status, rowCount, executionTime, error }
+ * @returns {Promise<object>} - Stored entry
+ */
+export async function addQueryHistoryEntry(entry) {
+    const data = await apiRequest('/query-history', { method: 'POST', body: entry }, 'Failed to save query history');
+    return data.entry;
+}
+
+/**
+ * Delete history
+ * @param {string} [connectionId] - Only clear this connection's history
+ * @returns {Promise<void>}
+ */
+export async function clearQueryHistory(connectionId) {
+    const query = connectionId ? `?connectionId=${encodeURIComponent(connectionId)}` : '';
+    await apiRequest(`/query-history${query}`, { method: 'DELETE' }, 'Failed to clear query history');
+}
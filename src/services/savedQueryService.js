@@ -0,0 +1,50 @@
+/**
+ * Saved Query Service
+ *
+ * Named queries kept on the server per connection. Placeholders in a saved
+ * query (:name or {{name}}) become typed parameters that are bound by the
+ * database driver when the query runs.
+ */
+
+import { apiRequest } from './apiClient';
+
+/**
+ * List saved queries, by name
+ * @param {string} [connectionId] - Only this connection's queries
+ * @returns {Promise<Array>} - Saved queries
+ */
+export async function listSavedQueries(connectionId) {
+    const query = connectionId ? `?connectionId=${encodeURIComponent(connectionId)}` : '';
+    const data = await apiRequest(`/saved-queries${query}`, {}, 'Failed to load saved queries');
+    return data.queries;
+}
+
+/**
+ * Save a query
+ * @param {object} fields - { connectionId, name, description, tags, query, parameters }
+ * @returns {Promise<object>} - Saved query
+ */
+export async function createSavedQuery(fields) {
+    const data = await apiRequest('/saved-queries', { method: 'POST', body: fields }, 'Failed to save query');
+    return data.query;
+}
+
+/**
+ * Update a saved query
+ * @param {string} id - Saved query ID
+ * @param {object} fields - Any of { name, description, tags, query, parameters }
+ * @returns {Promise<object>} - Saved query
+ */
+export async function updateSavedQuery(id, fields) {
+    const data = await apiRequest(`/saved-queries/${id}`, { method: 'PATCH', body: fields }, 'Failed to update saved query');
+    return data.query;
+}
+
+/**
+ * Delete a saved query
+ * @param {string} id - Saved query ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSavedQuery(id) {
+    await apiRequest(`/saved-queries/${id}`, { method: 'DELETE' }, 'Failed to delete saved query');
+}
@@ -0,0 +1,278 @@
+/**
+ * Schema Diagram
+ *
+ * Lays out the tables and foreign keys from /api/schema as an entity
+ * relationship diagram, and saves the drawn diagram as SVG or PNG.
+ * Referenced tables are placed left of the tables that reference them, one
+ * column of boxes per level, so most foreign keys point right to left.
+ */
+
+import { analyzeQuery } from './aiService';
+
+export const BOX_WIDTH = 220;
+export const HEADER_HEIGHT = 30;
+export const ROW_HEIGHT = 20;
+// Longer tables show this many columns and a "+N more" row
+export const MAX_ROWS = 12;
+
+const GAP_X = 90;
+const GAP_Y = 32;
+
+// Computed styles copied onto an exported SVG, which cannot use the page's CSS
+const EXPORT_STYLES = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'opacity', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline'];
+
+/**
+ * Columns drawn in a table's box
+ * @param {Array} columns - Column definitions from /api/schema
+ * @returns {object} - { shown, hidden } with hidden the number left out
+ */
+export function visibleColumns(columns) {
+    if (columns.length <= MAX_ROWS) return { shown: columns, hidden: 0 };
+    return { shown: columns.slice(0, MAX_ROWS - 1), hidden: columns.length - MAX_ROWS + 1 };
+}
+
+/**
+ * Position tables and route foreign keys
+ * @param {object} schema - { tables, relationships } as getDatabaseSchema returns it
+ * @returns {object} - { nodes: { [table]: { table, x, y, width, height } }, edges, width, height }
+ */
+export function layoutSchema(schema) {
+    const tables = Object.keys(schema?.tables || {}).sort((a, b) => a.localeCompare(b));
+    const relationships = (schema?.relationships || []).filter(rel =>
+        rel.table in schema.tables && rel.referencedTable in schema.tables
+    );
+
+    const heightOf = (table) => HEADER_HEIGHT + Math.max(1, Math.min(schema.tables[table].length, MAX_ROWS)) * ROW_HEIGHT;
+
+    const references = new Map(tables.map(table => [table, new Set()]));
+    const linked = new Set();
+    for (const rel of relationships) {
+        if (rel.table === rel.referencedTable) continue;
+        references.get(rel.table).add(rel.referencedTable);
+        linked.add(rel.table);
+        linked.add(rel.referencedTable);
+    }
+
+    // Level = length of the longest chain of references; a cycle is cut where it is found
+    const levels = new Map();
+    const visiting = new Set();
+    const levelOf = (table) => {
+        if (levels.has(table)) return levels.get(table);
+        if (visiting.has(table)) return 0;
+        visiting.add(table);
+        let level = 0;
+        for (const referenced of references.get(table)) {
+            level = Math.max(level, levelOf(referenced) + 1);
+        }
+        visiting.delete(table);
+        levels.set(table, level);
+        return level;
+    };
+
+    const layers = [];
+    for (const table of tables.filter(t => linked.has(t))) {
+        const level = levelOf(table);
+        (layers[level] ||= []).push(table);
+    }
+
+    // Order each level by the average position of the tables it is linked to on the left
+    const neighbours = (table) => relationships.flatMap(rel =>
+        rel.table === table ? [rel.referencedTable] : rel.referencedTable === table ? [rel.table] : []
+    );
+    const rank = new Map();
+    layers.forEach((layer, level) => {
+        if (level > 0) {
+            const barycenter = (table) => {
+                const placed = neighbours(table).filter(n => rank.has(n) && levels.get(n) < level);
+                return placed.length > 0 ? placed.reduce((sum, n) => sum + rank.get(n), 0) / placed.length : Infinity;
+            };
+            layer.sort((a, b) => barycenter(a) - barycenter(b));
+        }
+        layer.forEach((table, index) => rank.set(table, index));
+    });
+
+    const nodes = {};
+    let bottom = 0;
+    layers.forEach((layer, level) => {
+        let y = 0;
+        for (const table of layer) {
+            nodes[table] = { table, x: level * (BOX_WIDTH + GAP_X), y, width: BOX_WIDTH, height: heightOf(table) };
+            y += nodes[table].height + GAP_Y;
+        }
+        bottom = Math.max(bottom, y);
+    });
+
+    // Tables without foreign keys go in rows underneath
+    const unlinked = tables.filter(t => !linked.has(t));
+    const perRow = Math.max(layers.length, Math.ceil(Math.sqrt(unlinked.length)), 1);
+    let rowTop = bottom > 0 ? bottom + GAP_Y : 0;
+    for (let i = 0; i < unlinked.length; i += perRow) {
+        const row = unlinked.slice(i, i + perRow);
+        row.forEach((table, index) => {
+            nodes[table] = { table, x: index * (BOX_WIDTH + GAP_X), y: rowTop, width: BOX_WIDTH, height: heightOf(table) };
+        });
+        rowTop += Math.max(...row.map(t => nodes[t].height)) + GAP_Y;
+    }
+
+    const edges = relationships.map((rel, index) => ({
+        id: `${rel.name || index}:${rel.table}`,
+        ...rel,
+        path: edgePath(nodes[rel.table], nodes[rel.referencedTable], rowOf(schema.tables[rel.table], rel.columns[0]), rowOf(schema.tables[rel.referencedTable], rel.referencedColumns[0]))
+    }));
+
+    const all = Object.values(nodes);
+    return {
+        nodes,
+        edges,
+        width: all.length > 0 ? Math.max(...all.map(n => n.x + n.width)) : 0,
+        height: all.length > 0 ? Math.max(...all.map(n => n.y + n.height)) : 0
+    };
+}
+
+// Row a column is drawn in; hidden columns point at the "+N more" row
+function rowOf(columns, name) {
+    const index = columns.findIndex(col => col.name === name);
+    if (index === -1) return -1;
+    return Math.min(index, visibleColumns(columns).shown.length);
+}
+
+// Curve from the referencing column to the referenced one
+function edgePath(from, to, fromRow, toRow) {
+    const yAt = (node, row) => row === -1 ? node.y + HEADER_HEIGHT / 2 : node.y + HEADER_HEIGHT + row * ROW_HEIGHT + ROW_HEIGHT / 2;
+    const y1 = yAt(from, fromRow);
+    const y2 = yAt(to, toRow);
+
+    if (from === to) {
+        // Self reference: a loop on the right-hand side
+        const x = from.x + from.width;
+        return `M ${x} ${y1} C ${x + 40} ${y1}, ${x + 40} ${y2}, ${x} ${y2}`;
+    }
+    if (from.x > to.x) {
+        const x1 = from.x;
+        const x2 = to.x + to.width;
+        const bend = (x1 - x2) / 2;
+        return `M ${x1} ${y1} C ${x1 - bend} ${y1}, ${x2 + bend} ${y2}, ${x2} ${y2}`;
+    }
+    if (from.x < to.x) {
+        const x1 = from.x + from.width;
+        const x2 = to.x;
+        const bend = (x2 - x1) / 2;
+        return `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`;
+    }
+    // Same level, which only a cycle produces: around the right-hand side
+    const x = from.x + from.width;
+    return `M ${x} ${y1} C ${x + 60} ${y1}, ${x + 60} ${y2}, ${x} ${y2}`;
+}
+
+/**
+ * Tables a query reads or writes, for highlighting them in the diagram
+ * @param {string} sql - Query text
+ * @param {string} dbType - Database type
+ * @returns {Array<string>} - Table (or collection) names as written in the query
+ */
+export function tablesOfQuery(sql, dbType) {
+    if (!sql) return [];
+    if (dbType === 'mongodb') {
+        try {
+            const collection = JSON.parse(sql).collection;
+            return collection ? [collection] : [];
+        } catch {
+            return [];
+        }
+    }
+    return analyzeQuery(sql, dbType).tables || [];
+}
+
+/**
+ * Whether a table is one of the names a query used. Either may be
+ * schema-qualified: an unqualified name matches the table in any schema.
+ * @param {string} table - Table name from the schema
+ * @param {Array<string>} names - Names from tablesOfQuery
+ * @returns {boolean}
+ */
+export function isTableUsed(table, names) {
+    const lower = table.toLowerCase();
+    return names.some(name => {
+        const used = name.replace(/[[\]"`]/g, '').toLowerCase();
+        return used === lower || used.endsWith(`.${lower}`) || lower.endsWith(`.${used}`);
+    });
+}
+
+/**
+ * Serialize the drawn diagram as a standalone SVG covering the whole layout
+ * @param {SVGSVGElement} svg - The diagram element
+ * @param {object} bounds - { width, height } of the layout
+ * @param {number} padding - Space around the layout
+ * @returns {string} - SVG markup
+ */
+export function diagramToSvg(svg, bounds, padding = 20) {
+    const clone = svg.cloneNode(true);
+    const sources = svg.querySelectorAll('*');
+    const targets = clone.querySelectorAll('*');
+    sources.forEach((source, i) => {
+        const computed = getComputedStyle(source);
+        targets[i].setAttribute('style', EXPORT_STYLES.map(prop => `${prop}:${computed.getPropertyValue(prop)}`).join(';'));
+        targets[i].removeAttribute('class');
+    });
+
+    const width = bounds.width + padding * 2;
+    const height = bounds.height + padding * 2;
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('viewBox', `${-padding} ${-padding} ${width} ${height}`);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.removeAttribute('class');
+    // The export always shows the whole diagram, whatever the current pan and zoom
+    clone.querySelector('[data-viewport]')?.removeAttribute('transform');
+
+    const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    background.setAttribute('x', -padding);
+    background.setAttribute('y', -padding);
+    background.setAttribute('width', width);
+    background.setAttribute('height', height);
+    background.setAttribute('fill', getComputedStyle(svg).backgroundColor || '#ffffff');
+    clone.insertBefore(background, clone.firstChild);
+
+    return new XMLSerializer().serializeToString(clone);
+}
+
+/**
+ * Render SVG markup to a PNG
+ * @param {string} markup - Output of diagramToSvg
+ * @param {number} scale - Pixels per SVG unit
+ * @returns {Promise<Blob>}
+ */
+export async function svgToPng(markup, scale = 2) {
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width * scale;
+        canvas.height = image.height * scale;
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        return await new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not create the PNG')), 'image/png');
+        });
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Save a blob as a download
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export function saveFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Revoked after the click has been handled, or the download may not start
+    setTimeout(() => URL.revokeObjectURL(url));
+}
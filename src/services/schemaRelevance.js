@@ -0,0 +1,186 @@
+/**
+ * Schema Relevance
+ *
+ * Picks the part of a schema worth sending with a question, so prompts stay
+ * small however large the database is. Tables are ranked by how well their
+ * names, columns and comments match the question's words; near misses
+ * ("purchase" for "purchases_daily") count through character trigram
+ * similarity. The best few are kept with the tables they share a foreign key
+ * with, and every other table is passed on by name only.
+ */
+
+// Schemas this small are sent whole
+const FULL_SCHEMA_TABLES = 15;
+// Tables kept with their columns, before neighbours are added
+const TOP_K = 8;
+// Neighbours added for the top tables; a hub table may be referenced by hundreds
+const MAX_NEIGHBOURS = 12;
+// Below this trigram similarity two words do not count as a match
+const MIN_SIMILARITY = 0.5;
+
+// Where a question word matched, by how much it counts
+const WEIGHTS = {
+    tableName: 10,
+    tableComment: 3,
+    columnName: 4,
+    columnComment: 1.5,
+    // Table used by a query earlier in the conversation, so follow-ups keep it
+    recentQuery: 6,
+};
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'at', 'to', 'for', 'from', 'by', 'with', 'without',
+    'is', 'are', 'was', 'were', 'be', 'me', 'my', 'our', 'all', 'each', 'every', 'any', 'show', 'list',
+    'get', 'give', 'find', 'what', 'which', 'who', 'how', 'many', 'much', 'number', 'count', 'total',
+    'per', 'top', 'last', 'first', 'latest', 'than', 'more', 'less', 'that', 'this', 'have', 'has', 'their',
+    'there', 'where', 'when', 'data', 'table', 'tables', 'rows', 'records', 'please', 'id',
+]);
+
+// Fold plurals so "orders" matches "order"
+const stem = (word) => {
+    if (word.length <= 3) return word;
+    if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (/(s|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+};
+
+// Words of a sentence or identifier; snake_case, camelCase and schema.table are split
+const wordsOf = (text) => String(text || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word) && !/^\d+$/.test(word))
+    .map(stem);
+
+const trigramsOf = (word) => {
+    const padded = ` ${word} `;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+    return grams;
+};
+
+// Dice coefficient of two words' trigrams: 1 for the same word, 0 for nothing in common
+const similarity = (gramsA, gramsB) => {
+    let shared = 0;
+    for (const gram of gramsA) if (gramsB.has(gram)) shared++;
+    return (2 * shared) / (gramsA.size + gramsB.size);
+};
+
+// How well a question word matches the best of some schema words, 0 to 1
+const bestMatch = (word, grams, words, trigrams) => {
+    let best = 0;
+    for (const candidate of words) {
+        const score = candidate === word ? 1 : similarity(grams, trigrams.get(candidate));
+        if (score > best) best = score;
+        if (best === 1) break;
+    }
+    return best >= MIN_SIMILARITY ? best : 0;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words of each table and the trigrams of every such word, worked out once per
+// loaded schema and dropped with it: { fields: { [table]: [[words, weight]] }, trigrams: Map }
+const fieldsCache = new WeakMap();
+const tableFieldsOf = (schema) => {
+    if (!fieldsCache.has(schema)) {
+        const tableComments = schema.tableComments || {};
+        const fields = Object.fromEntries(Object.entries(schema.tables).map(([table, columns]) => [table, [
+            [wordsOf(table), WEIGHTS.tableName],
+            [wordsOf(tableComments[table]), WEIGHTS.tableComment],
+            [columns.flatMap(col => wordsOf(col.name)), WEIGHTS.columnName],
+            [columns.flatMap(col => wordsOf(col.comment)), WEIGHTS.columnComment],
+        ]]));
+        const trigrams = new Map();
+        for (const tableFields of Object.values(fields)) {
+            for (const [words] of tableFields) {
+                for (const word of words) if (!trigrams.has(word)) trigrams.set(word, trigramsOf(word));
+            }
+        }
+        fieldsCache.set(schema, { fields, trigrams });
+    }
+    return fieldsCache.get(schema);
+};
+
+/**
+ * Score every table against a question
+ * @param {object} schema - { tables, relationships, tableComments }
+ * @param {string} question - The user's question
+ * @param {string} recentSql - Queries from earlier in the conversation
+ * @returns {Map<string, number>} - Table -> score, 0 when nothing matched
+ */
+function rankTables(schema, question, recentSql = '') {
+    const questionGrams = [...new Set(wordsOf(question))].map(word => [word, trigramsOf(word)]);
+    const { fields: tableFields, trigrams } = tableFieldsOf(schema);
+    const scores = new Map();
+
+    for (const [table, fields] of Object.entries(tableFields)) {
+        // Each question word counts once per table, where it matched best
+        let score = 0;
+        for (const [word, grams] of questionGrams) {
+            score += Math.max(...fields.map(([words, weight]) => bestMatch(word, grams, words, trigrams) * weight));
+        }
+
+        // The name as written in SQL: the table part of schema.table, in any quotes
+        const name = table.split('.').pop();
+        if (recentSql && new RegExp(`(^|[^\\w$])${escapeRegExp(name)}($|[^\\w$])`, 'i').test(recentSql)) {
+            score += WEIGHTS.recentQuery;
+        }
+
+        scores.set(table, score);
+    }
+
+    return scores;
+}
+
+/**
+ * Cut a schema down to the tables relevant to a question
+ * @param {object} schema - Schema as getDatabaseSchema returns it
+ * @param {string} question - The user's question (or, for a fix, the failed query)
+ * @param {object} options - { recentSql: queries from earlier in the conversation, topK }
+ * @returns {object} - The schema with only the chosen tables, their relationships and
+ *   constraints, and otherTables listing the names of the rest
+ */
+export function selectRelevantSchema(schema, question, { recentSql = '', topK = TOP_K } = {}) {
+    if (!schema?.tables) return schema;
+
+    const tables = Object.keys(schema.tables);
+    if (tables.length <= FULL_SCHEMA_TABLES) return schema;
+
+    const relationships = schema.relationships || [];
+    const neighbours = new Map(tables.map(table => [table, new Set()]));
+    for (const rel of relationships) {
+        neighbours.get(rel.table)?.add(rel.referencedTable);
+        neighbours.get(rel.referencedTable)?.add(rel.table);
+    }
+
+    // With no match at all (e.g. "what is in this database?") the most connected tables are sent
+    const scores = rankTables(schema, question, recentSql);
+    const byRelevance = (a, b) =>
+        scores.get(b) - scores.get(a) ||
+        neighbours.get(b).size - neighbours.get(a).size ||
+        a.localeCompare(b);
+
+    const ranked = [...tables].sort(byRelevance);
+    const matched = ranked.filter(table => scores.get(table) > 0);
+    const top = (matched.length > 0 ? matched : ranked).slice(0, topK);
+
+    const chosen = new Set(top);
+    const candidates = [...new Set(top.flatMap(table => [...neighbours.get(table)]))]
+        .filter(table => !chosen.has(table) && table in schema.tables)
+        .sort(byRelevance)
+        .slice(0, MAX_NEIGHBOURS);
+    candidates.forEach(table => chosen.add(table));
+
+    const pick = (object = {}) => Object.fromEntries(Object.entries(object).filter(([table]) => chosen.has(table)));
+
+    return {
+        ...schema,
+        tables: pick(schema.tables),
+        relationships: relationships.filter(rel => chosen.has(rel.table) && chosen.has(rel.referencedTable)),
+        constraints: pick(schema.constraints),
+        tableComments: pick(schema.tableComments),
+        otherTables: tables.filter(table => !chosen.has(table)).sort((a, b) => a.localeCompare(b))
+    };
+}